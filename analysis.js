@@ -0,0 +1,241 @@
+/**
+ * Analysis Module
+ * Finds forced moves (words that must be placed given the candidate words covering each free cell)
+ * and counts the candidates per cell for the heatmap
+ */
+
+// Regions up to this many cells are searched for every way to fill them
+const MAX_REGION_SIZE = 16;
+// Search nodes allowed per region before giving up on it
+const MAX_REGION_NODES = 20000;
+
+const NEIGHBORS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+
+/**
+ * Scan every free cell for every candidate word path
+ * @param {Solver} solver - Solver for the grid
+ * @param {Set<string>} usedPositions - Cells covered by found words ("row,col")
+ * @param {Set<string>} excludedWords - Blacklisted and already found words
+ * @param {number} minCommonness - Skip words scoring below this (0 to 1)
+ * @returns {Array<[string, Array<[number, number]>]>} Every path of every word that fits
+ */
+export function findCandidates(solver, usedPositions, excludedWords, minCommonness = 0) {
+    const candidates = [];
+    for (let row = 0; row < solver.rows; row++) {
+        for (let col = 0; col < solver.cols; col++) {
+            if (usedPositions.has(`${row},${col}`)) continue;
+            for (const [word, positions] of solver.findWordsDFS(row, col, usedPositions, excludedWords, 4, 15, true)) {
+                if (solver.meetsCommonness(word, minCommonness)) {
+                    candidates.push([word, positions]);
+                }
+            }
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Group candidates by the cells they cover
+ * @param {Array<[string, Array<[number, number]>]>} candidates - Candidate word paths
+ * @returns {Map<string, Array<number>>} "row,col" -> indexes into candidates
+ */
+export function buildCellCandidates(candidates) {
+    const cellCandidates = new Map();
+    candidates.forEach(([word, positions], index) => {
+        for (const [row, col] of positions) {
+            const key = `${row},${col}`;
+            if (!cellCandidates.has(key)) {
+                cellCandidates.set(key, []);
+            }
+            cellCandidates.get(key).push(index);
+        }
+    });
+    return cellCandidates;
+}
+
+/**
+ * List the candidate paths through one cell, with where the cell sits in each word
+ * @param {Array<[string, Array<[number, number]>]>} candidates - Candidate word paths
+ * @param {Map<string, Array<number>>} cellCandidates - From buildCellCandidates
+ * @param {number} row - Cell row
+ * @param {number} col - Cell column
+ * @returns {Array<[string, Array<[number, number]>, number]>} [word, positions, index] tuples, index being
+ *   where the cell sits in the word (0 = first letter), sorted by index then longest first
+ */
+export function findWordsThroughCell(candidates, cellCandidates, row, col) {
+    const words = (cellCandidates.get(`${row},${col}`) || []).map(candidateIndex => {
+        const [word, positions] = candidates[candidateIndex];
+        return [word, positions, positions.findIndex(([r, c]) => r === row && c === col)];
+    });
+    words.sort((a, b) => a[2] - b[2] || b[0].length - a[0].length);
+    return words;
+}
+
+/**
+ * Count the different words that can cover each cell
+ * @param {Array<[string, Array<[number, number]>]>} candidates - Candidate word paths
+ * @returns {Map<string, number>} "row,col" -> number of distinct words (cells no word covers are left out)
+ */
+export function getCellWordCounts(candidates) {
+    const cellWords = new Map();
+    for (const [word, positions] of candidates) {
+        for (const [row, col] of positions) {
+            const key = `${row},${col}`;
+            if (!cellWords.has(key)) {
+                cellWords.set(key, new Set());
+            }
+            cellWords.get(key).add(word);
+        }
+    }
+    return new Map([...cellWords].map(([key, words]) => [key, words.size]));
+}
+
+/**
+ * Split the free cells into regions of cells connected through neighbors (diagonals included)
+ * @param {number} rows - Grid rows
+ * @param {number} cols - Grid columns
+ * @param {Set<string>} usedPositions - Cells covered by found words
+ * @returns {Array<Array<[number, number]>>} Regions, each listed in reading order
+ */
+export function findFreeRegions(rows, cols, usedPositions) {
+    const seen = new Set(usedPositions);
+    const regions = [];
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            if (seen.has(`${row},${col}`)) continue;
+
+            const region = [];
+            const stack = [[row, col]];
+            seen.add(`${row},${col}`);
+            while (stack.length > 0) {
+                const [r, c] = stack.pop();
+                region.push([r, c]);
+                for (const [dr, dc] of NEIGHBORS) {
+                    const nr = r + dr;
+                    const nc = c + dc;
+                    const key = `${nr},${nc}`;
+                    if (nr >= 0 && nr < rows && nc >= 0 && nc < cols && !seen.has(key)) {
+                        seen.add(key);
+                        stack.push([nr, nc]);
+                    }
+                }
+            }
+            region.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+            regions.push(region);
+        }
+    }
+    return regions;
+}
+
+/**
+ * Find up to two ways to fill a region exactly, each word used at most once
+ * @param {Array<[number, number]>} region - Region cells
+ * @param {Array<[string, Array<[number, number]>]>} candidates - All candidate word paths
+ * @param {Map<string, Array<number>>} cellCandidates - From buildCellCandidates
+ * @returns {Array<Array<number>>|null} Fillings as candidate indexes, or null if the search was too large
+ */
+function findRegionFillings(region, candidates, cellCandidates) {
+    const cells = region.map(([row, col]) => `${row},${col}`);
+    const covered = new Set();
+    const usedWords = new Set();
+    const chosen = [];
+    const fillings = [];
+    let nodes = 0;
+
+    const search = () => {
+        if (++nodes > MAX_REGION_NODES) return false;
+
+        const next = cells.find(key => !covered.has(key));
+        if (!next) {
+            fillings.push([...chosen]);
+            return fillings.length < 2;
+        }
+
+        for (const index of cellCandidates.get(next) || []) {
+            const [word, positions] = candidates[index];
+            const keys = positions.map(([row, col]) => `${row},${col}`);
+            if (usedWords.has(word) || keys.some(key => covered.has(key))) continue;
+
+            keys.forEach(key => covered.add(key));
+            usedWords.add(word);
+            chosen.push(index);
+            const keepGoing = search();
+            chosen.pop();
+            usedWords.delete(word);
+            keys.forEach(key => covered.delete(key));
+            if (!keepGoing) return false;
+        }
+        return true;
+    };
+
+    search();
+    return nodes > MAX_REGION_NODES ? null : fillings;
+}
+
+/**
+ * Find forced moves and dead ends on the board
+ * A move is forced when a free cell has exactly one candidate path (corners are called out),
+ * or when a small free region can be filled in exactly one way.
+ * @param {Array<Array<string>>} grid - 2D array of letters
+ * @param {Array<[string, Array<[number, number]>]>} candidates - From findCandidates
+ * @param {Set<string>} usedPositions - Cells covered by found words
+ * @returns {{moves: Array<{word: string, positions: Array<[number, number]>, kind: string, cell: [number, number], reason: string}>,
+ *   problems: Array<string>}} Moves in the order found (each word path once) and cells or regions that can't be covered
+ */
+export function findForcedMoves(grid, candidates, usedPositions) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const cellCandidates = buildCellCandidates(candidates);
+    const moves = [];
+    const problems = [];
+    const movePaths = new Set();
+    const deadCells = new Set();
+
+    const addMove = (index, kind, cell, reason) => {
+        const [word, positions] = candidates[index];
+        const key = positions.map(([row, col]) => `${row},${col}`).join(' ');
+        if (movePaths.has(key)) return;
+        movePaths.add(key);
+        moves.push({ word, positions, kind, cell, reason });
+    };
+
+    // Cells only one candidate path can cover
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            if (usedPositions.has(`${row},${col}`)) continue;
+
+            const covering = cellCandidates.get(`${row},${col}`) || [];
+            const isCorner = (row === 0 || row === rows - 1) && (col === 0 || col === cols - 1);
+            const name = `${isCorner ? 'corner' : 'cell'} (${row},${col})`;
+            if (covering.length === 0) {
+                deadCells.add(`${row},${col}`);
+                problems.push(`No word can cover ${name} (${grid[row][col]})`);
+            } else if (covering.length === 1) {
+                const word = candidates[covering[0]][0];
+                addMove(covering[0], isCorner ? 'corner' : 'cell', [row, col], `because ${name} can only be covered by ${word}`);
+            }
+        }
+    }
+
+    // Small regions with exactly one filling
+    for (const region of findFreeRegions(rows, cols, usedPositions)) {
+        // A region with a dead cell is already reported
+        if (region.length > MAX_REGION_SIZE || region.some(([r, c]) => deadCells.has(`${r},${c}`))) continue;
+
+        const [row, col] = region[0];
+        const fillings = findRegionFillings(region, candidates, cellCandidates);
+        if (fillings === null) continue;
+
+        if (fillings.length === 0) {
+            problems.push(`The ${region.length}-letter region at (${row},${col}) can't be filled with the remaining words`);
+        } else if (fillings.length === 1) {
+            const words = fillings[0].map(index => candidates[index][0]);
+            for (const index of fillings[0]) {
+                addMove(index, 'region', [row, col],
+                    `because the ${region.length}-letter region at (${row},${col}) can only be filled by ${words.join(' + ')}`);
+            }
+        }
+    }
+
+    return { moves, problems };
+}
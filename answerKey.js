@@ -0,0 +1,282 @@
+/**
+ * Answer Key Module
+ * Parses a puzzle's official answers, checks found words against them and scores traced words in play mode
+ */
+
+import { Solver } from './solver.js?v=17';
+
+// Non-theme words needed to earn one hint, as in the NYT game
+export const WORDS_PER_HINT = 3;
+
+/**
+ * Parse an answer key: one word per line (commas or spaces also work), spangram marked with *
+ * @param {string} text - Answer key text, e.g. "GRAPE*\nLEMONS\nBLUEBERRY"
+ * @returns {{words: Array<string>, spangram: string|null}} Words in the order given
+ * @throws {Error} If a word is invalid, repeated, or more than one spangram is marked
+ */
+export function parseAnswerKey(text) {
+    const words = [];
+    let spangram = null;
+
+    for (const token of text.split(/[\s,]+/)) {
+        if (!token) continue;
+
+        const isSpangram = token.startsWith('*') || token.endsWith('*');
+        const word = token.replace(/^\*|\*$/g, '').toUpperCase();
+        if (!/^[A-Z]+$/.test(word)) {
+            throw new Error(`"${token}" is not a word`);
+        }
+        if (word.length < 4) {
+            throw new Error(`${word} is shorter than 4 letters`);
+        }
+        if (words.includes(word)) {
+            throw new Error(`${word} is listed twice`);
+        }
+        if (isSpangram) {
+            if (spangram) {
+                throw new Error(`Only one spangram can be marked (${spangram} and ${word})`);
+            }
+            spangram = word;
+        }
+        words.push(word);
+    }
+
+    if (words.length === 0) {
+        throw new Error('The answer key has no words');
+    }
+    return { words, spangram };
+}
+
+/**
+ * Format an answer key as text that parseAnswerKey reads back
+ * @param {{words: Array<string>, spangram: string|null}} key - Answer key
+ * @returns {string} One word per line, spangram marked with *
+ */
+export function formatAnswerKey(key) {
+    return key.words.map(word => word === key.spangram ? `${word}*` : word).join('\n');
+}
+
+/**
+ * Find where the answer key's words lie on the grid
+ * The words must cover every cell exactly once; if the spangram is marked it has to be
+ * the word spanning the board.
+ * @param {Array<Array<string>>} grid - 2D array of letters
+ * @param {{words: Array<string>, spangram: string|null}} key - Answer key
+ * @param {number} maxAttempts - Search nodes allowed
+ * @returns {Array<[string, Array<[number, number]>, boolean]>|null} The words with their paths, or null if they don't fit
+ */
+export function resolveAnswerPaths(grid, key, maxAttempts = 100000) {
+    const solver = new Solver(grid, new Set(key.words));
+    // A theme word may cross the board too; only the marked word fills the spangram's place
+    solver.setSpangramWord(key.spangram);
+
+    // Every path of every word: the first one found is often not the one that fits
+    const allWords = [];
+    for (let row = 0; row < solver.rows; row++) {
+        for (let col = 0; col < solver.cols; col++) {
+            for (const [word, positions] of solver.findWordsDFS(row, col, new Set(), new Set(), 4, 15, true)) {
+                allWords.push([word, positions, positions.length]);
+            }
+        }
+    }
+
+    const spangramMatches = (solution) => !key.spangram ||
+        solution.some(([word, positions, isSpangram]) => isSpangram && word === key.spangram);
+    const { solution } = solver.solveExactCover(allWords, [], null, () => false, maxAttempts, key.words.length,
+        (candidate) => !spangramMatches(candidate));
+
+    const covered = solution ? solution.reduce((sum, [, positions]) => sum + positions.length, 0) : 0;
+    if (!solution || covered !== solver.rows * solver.cols || solution.length !== key.words.length || !spangramMatches(solution)) {
+        return null;
+    }
+
+    // List the words in answer key order
+    return key.words.map(word => solution.find(([w]) => w === word));
+}
+
+/**
+ * Key identifying a path by its cells, in either direction
+ * @param {Array<[number, number]>} positions - Word path
+ * @returns {string}
+ */
+function cellsKey(positions) {
+    return positions.map(([row, col]) => `${row},${col}`).sort().join(' ');
+}
+
+/**
+ * Compare found words with the official answers
+ * @param {Array<[string, Array<[number, number]>, boolean]>} setWords - Found words
+ * @param {Array<[string, Array<[number, number]>, boolean]>} answers - From resolveAnswerPaths
+ * @returns {{correct: Array, wrongPath: Array, wrong: Array, missing: Array}} correct, wrongPath (right word on
+ *   other cells) and wrong (not an answer) hold found words; missing holds answers not found
+ */
+export function compareWithAnswers(setWords, answers) {
+    const result = { correct: [], wrongPath: [], wrong: [], missing: [] };
+    for (const entry of setWords) {
+        const answer = answers.find(([word]) => word === entry[0]);
+        if (!answer) {
+            result.wrong.push(entry);
+        } else if (cellsKey(answer[1]) === cellsKey(entry[1])) {
+            result.correct.push(entry);
+        } else {
+            result.wrongPath.push(entry);
+        }
+    }
+    result.missing = answers.filter(([word]) => !setWords.some(([w]) => w === word));
+    return result;
+}
+
+export class PlayGame {
+    constructor() {
+        this.key = null; // { words, spangram } answer key
+        this.answers = null; // Answer key words with their paths on the grid
+        this.bonusWords = []; // Valid non-theme words found, in the order found
+        this.hintsSpent = 0; // Hints taken with earned credit
+    }
+
+    /**
+     * Set the answer key for a grid
+     * @param {Array<Array<string>>} grid - 2D array of letters
+     * @param {{words: Array<string>, spangram: string|null}} key - Answer key
+     * @throws {Error} If the words can't cover the grid
+     */
+    setKey(grid, key) {
+        const answers = resolveAnswerPaths(grid, key);
+        if (!answers) {
+            throw new Error('The answer key words do not fill this grid exactly once each');
+        }
+        this.key = key;
+        this.answers = answers;
+        this.restart();
+    }
+
+    /**
+     * Drop the answer key and progress
+     */
+    clearKey() {
+        this.key = null;
+        this.answers = null;
+        this.restart();
+    }
+
+    /**
+     * Forget the non-theme words and hints taken, keeping the answer key
+     */
+    restart() {
+        this.bonusWords = [];
+        this.hintsSpent = 0;
+    }
+
+    hasKey() {
+        return this.answers !== null;
+    }
+
+    /**
+     * Check a traced word against the answer key
+     * @param {string} word - Traced letters
+     * @param {Array<[number, number]>} positions - Traced path
+     * @param {Array<[string, Array<[number, number]>, boolean]>} setWords - Theme words found so far
+     * @param {Function} isWord - word -> true if the word list accepts it
+     * @returns {{result: string, answer: Array|null, message: string}} result is 'theme', 'spangram', 'bonus',
+     *   'found' (already found), 'short', 'misplaced' (theme word on the wrong cells) or 'invalid';
+     *   answer is the key entry for theme words
+     */
+    checkWord(word, positions, setWords, isWord) {
+        if (word.length < 4) {
+            return { result: 'short', answer: null, message: 'Too short' };
+        }
+
+        const answer = this.answers.find(([w]) => w === word);
+        if (answer) {
+            if (setWords.some(([w]) => w === word)) {
+                return { result: 'found', answer, message: `${word}: already found` };
+            }
+            if (cellsKey(answer[1]) !== cellsKey(positions)) {
+                return { result: 'misplaced', answer: null, message: `${word}: right word, wrong letters` };
+            }
+            return answer[2]
+                ? { result: 'spangram', answer, message: `SPANGRAM! ${word}` }
+                : { result: 'theme', answer, message: `Theme word: ${word}` };
+        }
+
+        if (this.bonusWords.includes(word)) {
+            return { result: 'found', answer: null, message: `${word}: already found` };
+        }
+        if (!isWord(word)) {
+            return { result: 'invalid', answer: null, message: `${word}: not in word list` };
+        }
+        this.bonusWords.push(word);
+        return { result: 'bonus', answer: null, message: `${word}: not a theme word, +1 toward a hint` };
+    }
+
+    /**
+     * Hints earned and not yet taken
+     * @returns {number}
+     */
+    getHintsAvailable() {
+        return Math.floor(this.bonusWords.length / WORDS_PER_HINT) - this.hintsSpent;
+    }
+
+    /**
+     * Non-theme words still needed for the next hint
+     * @returns {number}
+     */
+    getWordsToNextHint() {
+        return WORDS_PER_HINT - this.bonusWords.length % WORDS_PER_HINT;
+    }
+
+    /**
+     * Use one earned hint
+     * @returns {boolean} False if no hint is available
+     */
+    spendHint() {
+        if (this.getHintsAvailable() < 1) {
+            return false;
+        }
+        this.hintsSpent++;
+        return true;
+    }
+
+    /**
+     * Check if every answer has been found
+     * @param {Array<[string, Array<[number, number]>, boolean]>} setWords - Theme words found so far
+     * @returns {boolean}
+     */
+    isSolved(setWords) {
+        return this.hasKey() && this.answers.every(([word]) => setWords.some(([w]) => w === word));
+    }
+
+    /**
+     * Progress to save with the session
+     * @returns {{answerKey: Object|null, bonusWords: Array<string>, hintsSpent: number}}
+     */
+    getState() {
+        return {
+            answerKey: this.key ? { words: [...this.key.words], spangram: this.key.spangram } : null,
+            bonusWords: [...this.bonusWords],
+            hintsSpent: this.hintsSpent
+        };
+    }
+
+    /**
+     * Restore saved progress
+     * @param {Array<Array<string>>} grid - 2D array of letters
+     * @param {Object|null} state - From getState
+     * @returns {boolean} True if the answer key fits the grid and was restored
+     */
+    restoreState(grid, state) {
+        this.clearKey();
+        if (!state || !state.answerKey) {
+            return false;
+        }
+        try {
+            this.setKey(grid, state.answerKey);
+        } catch (error) {
+            console.warn('Ignoring saved answer key:', error.message);
+            return false;
+        }
+        this.bonusWords = [...(state.bonusWords || [])];
+        this.hintsSpent = Math.min(state.hintsSpent || 0, Math.floor(this.bonusWords.length / WORDS_PER_HINT));
+        return true;
+    }
+}
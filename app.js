@@ -1,25 +1,61 @@
 /**
  * Main Application
- * Unified Strands Solver with Edit/Solve modes
+ * Unified Strands Solver with Edit/Solve/Play modes
  */
 
-import { GridDisplay } from './grid.js?v=8';
-import { Solver } from './solver.js?v=2';
-import { WordManager } from './wordManager.js?v=7';
-import { loadWordList } from './wordLoader.js?v=2';
-import { createEmptyGrid, validateGridSize } from './utils.js?v=2';
+import { GridDisplay } from './grid.js?v=14';
+import { Solver } from './solver.js?v=17';
+import { SolverClient } from './solverClient.js?v=14';
+import { WordManager } from './wordManager.js?v=22';
+import { DictionaryRegistry } from './dictionaries.js?v=2';
+import { loadWordFrequencies } from './wordLoader.js?v=4';
+import { loadThemeRanker } from './themes.js?v=1';
+import { createEmptyGrid, validateGridSize, validateGrid, deepCopy2D, parseGridInput } from './utils.js?v=6';
+import { saveSession, loadSession, listPuzzles, savePuzzle, loadPuzzle, renamePuzzle, deletePuzzle, saveDictionarySelection, loadDictionarySelection } from './storage.js?v=2';
+import { encodeShareHash, decodeShareHash } from './share.js?v=4';
+import { serializeSessionFile, parseSessionFile, DEFAULT_SOLVER_SETTINGS, normalizeSolverSettings } from './sessionFile.js?v=10';
+import { CommandHistory } from './history.js?v=1';
+import { HintTracker, getHintDisplay, describeHint } from './hints.js?v=1';
+import { findForcedMoves, buildCellCandidates, getCellWordCounts, findWordsThroughCell } from './analysis.js?v=3';
+import { PlayGame, parseAnswerKey, formatAnswerKey, resolveAnswerPaths, compareWithAnswers } from './answerKey.js?v=8';
+import { ReviewLoop, describeRound } from './review.js?v=1';
+
+// Wait this long after a board change before scanning it for the heatmap, so quick edits scan once
+const HEATMAP_DELAY_MS = 200;
 
 class StrandsApp {
     constructor() {
         this.grid = null;
         this.gridDisplay = null;
-        this.solver = null;
+        this.solver = null; // Main-thread solver for single-cell word searches
+        this.solverClient = new SolverClient(); // Worker that runs full-board solves
         this.wordManager = new WordManager();
         this.wordSet = new Set();
+        this.dictionaries = new DictionaryRegistry(); // Bundled and uploaded word lists
         this.wordListReady = false; // Track when word list is fully loaded
-        this.currentMode = 'solve'; // 'edit' or 'solve'
+        this.currentMode = 'solve'; // 'edit', 'solve' or 'play'
         this.solveCancelled = false;
-        this.maxAttempts = 100000; // Default max attempts for solver
+        this.maxAttempts = DEFAULT_SOLVER_SETTINGS.maxAttempts; // Default max attempts for solver
+        this.targetWordCount = DEFAULT_SOLVER_SETTINGS.targetWordCount; // Required word count for complete solutions (0 = any)
+        this.solverStrategy = DEFAULT_SOLVER_SETTINGS.solverStrategy; // 'backtracking' or 'exact-cover'
+        this.maxSolutions = DEFAULT_SOLVER_SETTINGS.maxSolutions; // Complete solutions to collect and rank
+        this.minCommonness = DEFAULT_SOLVER_SETTINGS.minCommonness; // Words scoring below this (0 to 1) are skipped by the solver and Possible Words
+        this.wordCommonness = new Map(); // word -> commonness from 0 (obscure) to 1 (common)
+        this.theme = ''; // Puzzle clue used to rank words by relatedness
+        this.themeRanker = null; // Loaded the first time a theme is entered
+        this.sessionReady = false; // Autosave only once the last session has been restored
+        this.lastSolverOutput = { log: '', solutions: [] }; // Progress log and ranked solutions of the last solve
+        this.history = new CommandHistory(100, () => this.updateHistoryButtons()); // Undo/redo of grid and word changes
+        this.hints = new HintTracker(); // Progressive hints taken from a solution the player doesn't see
+        this.forcedMoves = null; // Last board analysis { moves, problems }, null when stale
+        this.analysisKey = null; // Board snapshot the analysis was computed for
+        this.play = new PlayGame(); // Answer key and progress for play mode
+        this.checkedAnswers = null; // Official answers with paths from the Enter Answers dialog
+        this.review = new ReviewLoop(); // Confirmed/rejected marks on solver words and the rounds so far
+        this.heatmapEnabled = false; // Shade free cells by candidate count; clicks list every word through the cell
+        this.boardScan = null; // { key, candidates, cellCandidates, counts } from the last worker scan, for the heatmap and words through a cell
+        this.boardScanRequest = null; // { key, timer, promise, resolve, run } while a scan is waiting or running in the worker
+        this.possibleSearch = 'start'; // Possible Words for a clicked cell: 'start' (words starting there) or 'through'
         
         this.init();
     }
@@ -32,7 +68,9 @@ class StrandsApp {
         this.gridDisplay = new GridDisplay(
             'grid-canvas',
             (row, col) => this.onCellClick(row, col),
-            (grid) => this.onGridEdit(grid)
+            (grid, edit) => this.onGridEdit(grid, edit),
+            (text) => this.onGridPaste(text),
+            (positions) => this.onTrace(positions)
         );
 
         // Set up word manager callbacks
@@ -49,6 +87,11 @@ class StrandsApp {
                 this.onSetWordDeselected();
             }
         });
+
+        // Double-clicking a found word removes it like the Remove button
+        this.wordManager.setSetWordRemoveCallback((index) => {
+            this.removeSetWord(index);
+        });
         
         // Set up max attempts input
         const maxAttemptsInput = document.getElementById('max-attempts');
@@ -64,21 +107,131 @@ class StrandsApp {
             this.maxAttempts = parseInt(maxAttemptsInput.value, 10) || 100000;
         }
 
-        // Load word list
-        await this.loadWordList();
+        // Set up target word count input (blank means any count)
+        const targetWordsInput = document.getElementById('target-words');
+        if (targetWordsInput) {
+            targetWordsInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.targetWordCount = !isNaN(value) && value > 0 ? value : 0;
+                console.log('Target word count set to:', this.targetWordCount || 'any');
+            });
+            this.targetWordCount = parseInt(targetWordsInput.value, 10) || 0;
+        }
+
+        // Set up solver strategy select
+        const strategySelect = document.getElementById('solver-strategy');
+        if (strategySelect) {
+            strategySelect.addEventListener('change', (e) => {
+                this.solverStrategy = e.target.value;
+                console.log('Solver strategy set to:', this.solverStrategy);
+            });
+            this.solverStrategy = strategySelect.value;
+        }
+
+        // Set up solutions-to-find input
+        const maxSolutionsInput = document.getElementById('max-solutions');
+        if (maxSolutionsInput) {
+            maxSolutionsInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.maxSolutions = !isNaN(value) && value > 0 ? value : 1;
+                console.log('Solutions to find set to:', this.maxSolutions);
+            });
+            this.maxSolutions = parseInt(maxSolutionsInput.value, 10) || 1;
+        }
+
+        // Set up minimum commonness input (0-100 in the UI)
+        const minCommonnessInput = document.getElementById('min-commonness');
+        if (minCommonnessInput) {
+            minCommonnessInput.addEventListener('change', (e) => {
+                const value = parseInt(e.target.value, 10);
+                this.minCommonness = !isNaN(value) && value > 0 ? Math.min(value, 100) / 100 : 0;
+                this.wordManager.setPossibleWordsView({ minCommonness: this.minCommonness });
+                console.log('Minimum commonness set to:', this.minCommonness);
+                this.updateHeatmap();
+            });
+        }
+
+        // Set up theme (puzzle clue) input
+        document.getElementById('theme-input').addEventListener('change', (e) => {
+            this.setTheme(e.target.value);
+        });
+
+        // Set up possible words sort
+        document.getElementById('possible-sort').addEventListener('change', (e) => {
+            this.wordManager.setPossibleWordsView({ sort: e.target.value });
+        });
+
+        // Words starting at the clicked cell or passing through it
+        document.getElementById('possible-search').addEventListener('change', (e) => {
+            this.possibleSearch = e.target.value;
+            const cell = this.gridDisplay.selectedCellForWords;
+            if (cell) {
+                this.gridDisplay.setProposedWord(null, null);
+                this.wordManager.updateProposedWord(null);
+                this.showPossibleWords(cell.row, cell.col);
+            }
+        });
+
+        // Restoring a blacklisted word or removing a whitelisted one
+        this.wordManager.setListWordRemoveCallback((listName, word) => {
+            this.removeListWord(listName, word);
+        });
+
+        // Picking a ranked solution applies it to the found words
+        this.wordManager.setSolutionSelectCallback((solution) => {
+            this.applySolution(solution);
+        });
+
+        // Preview or apply a forced move from the analysis list
+        this.wordManager.setForcedMoveCallbacks(
+            (move) => this.previewForcedMove(move),
+            (move) => this.applyForcedMove(move)
+        );
+
+        // Mark solver words for the next review round
+        this.wordManager.setReviewMarkCallback((word, mark) => {
+            this.review.setMark(word, mark);
+            this.updateReview();
+        });
+
+        // Show which word list produced each found word
+        this.wordManager.setWordSourceLookup((word) => this.dictionaries.getSources(word));
+
+        // Load the last chosen word lists (the full list by default)
+        const selection = loadDictionarySelection();
+        const ids = selection ? selection.ids.filter(id => this.dictionaries.has(id)) : [];
+        if (ids.length > 0) {
+            await this.loadWordList(ids, selection.mode);
+        }
+        if (!this.wordListReady) {
+            await this.loadWordList(['alpha'], 'union');
+        }
+        await this.loadCommonness();
 
-        // Initialize with fixed 8x6 grid (NYT Strands standard: 8 rows, 6 columns)
-        const defaultGrid = createEmptyGrid(8, 6);
-        this.setGrid(defaultGrid);
+        // Restore the last session, or start with a fixed 8x6 grid (NYT Strands standard: 8 rows, 6 columns)
+        if (!this.applySessionState(loadSession())) {
+            const defaultGrid = createEmptyGrid(8, 6);
+            this.setGrid(defaultGrid);
+        }
         
-        // Set initial mode to solve (this will properly initialize edit mode state)
-        // Make sure editMode starts as false (solve mode)
-        this.currentMode = 'solve';
+        // Set initial mode (solve unless the restored session was in edit mode)
+        // This will properly initialize edit mode state
+        const initialMode = this.currentMode;
         if (this.gridDisplay) {
-            this.gridDisplay.editMode = false;
-            this.gridDisplay.setEditMode(false);
+            this.gridDisplay.editMode = initialMode === 'edit';
+            this.gridDisplay.setEditMode(initialMode === 'edit');
         }
-        this.setMode('solve');
+        this.setMode(initialMode);
+        
+        this.sessionReady = true;
+        this.updateSavedPuzzlesList();
+        this.updateHistoryButtons();
+
+        // A shared link takes precedence over the restored session
+        this.applyShareHash(window.location.hash);
+        window.addEventListener('hashchange', () => {
+            this.applyShareHash(window.location.hash);
+        });
         
         console.log('Initialization complete:', {
             currentMode: this.currentMode,
@@ -101,17 +254,60 @@ class StrandsApp {
         document.getElementById('mode-solve').addEventListener('click', () => {
             this.setMode('solve');
         });
+        document.getElementById('mode-play').addEventListener('click', () => {
+            this.setMode('play');
+        });
 
         // Grid size controls removed - fixed 6x8 grid
 
+        // Undo/redo
+        document.getElementById('undo-btn').addEventListener('click', () => {
+            this.undo();
+        });
+        document.getElementById('redo-btn').addEventListener('click', () => {
+            this.redo();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || (e.target.closest && e.target.closest('input, textarea, select'))) {
+                return;
+            }
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
         document.getElementById('clear-grid-btn').addEventListener('click', () => {
             if (confirm('Clear the entire grid?')) {
                 const rows = this.grid.length;
                 const cols = this.grid[0].length;
-                this.setGrid(createEmptyGrid(rows, cols));
+                this.recordChange('Clear grid', () => {
+                    this.setGrid(createEmptyGrid(rows, cols));
+                });
             }
         });
 
+        document.getElementById('share-btn').addEventListener('click', () => {
+            this.sharePuzzle();
+        });
+
+        // Paste a whole grid (edit mode)
+        document.getElementById('paste-grid-btn').addEventListener('click', () => {
+            this.showPastePanel('');
+        });
+
+        document.getElementById('import-grid-btn').addEventListener('click', () => {
+            this.importGridText(document.getElementById('paste-grid-text').value);
+        });
+
+        document.getElementById('cancel-paste-btn').addEventListener('click', () => {
+            this.hidePastePanel();
+        });
+
         // Word management
         document.getElementById('add-word-btn').addEventListener('click', () => {
             this.addSetWord();
@@ -127,53 +323,369 @@ class StrandsApp {
 
         document.getElementById('clear-words-btn').addEventListener('click', () => {
             if (confirm('Clear all found words?')) {
-                this.wordManager.clearSetWords();
-                this.updateDisplay();
+                this.recordChange('Clear words', () => {
+                    this.wordManager.clearSetWords();
+                    this.updateDisplay();
+                });
+            }
+        });
+
+        // Blacklist and whitelist
+        document.getElementById('clear-blacklist-btn').addEventListener('click', () => {
+            if (confirm('Restore every blacklisted word?')) {
+                this.recordChange('Clear blacklist', () => {
+                    this.wordManager.clearBlacklist();
+                    this.updateDisplay();
+                });
+            }
+        });
+
+        document.getElementById('whitelist-add-btn').addEventListener('click', () => {
+            this.addWhitelistWord();
+        });
+
+        document.getElementById('whitelist-word').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.addWhitelistWord();
+            }
+        });
+
+        document.getElementById('export-lists-btn').addEventListener('click', () => {
+            this.exportWordLists();
+        });
+
+        // Autosave solver settings (runs after each input's own change handler)
+        document.querySelector('.solver-controls').addEventListener('change', () => {
+            this.autosave();
+        });
+
+        // Saved puzzles
+        document.getElementById('save-puzzle-btn').addEventListener('click', () => {
+            this.saveCurrentPuzzle();
+        });
+
+        // Session files
+        document.getElementById('export-session-btn').addEventListener('click', () => {
+            this.exportSession();
+        });
+
+        document.getElementById('import-session-btn').addEventListener('click', () => {
+            document.getElementById('import-session-file').click();
+        });
+
+        document.getElementById('import-session-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-importing the same file
+            if (file) {
+                this.importSession(file);
             }
         });
 
         // Solver
+        // Word lists
+        document.getElementById('apply-dictionary-btn').addEventListener('click', () => {
+            const ids = Array.from(document.querySelectorAll('#dictionary-options input:checked')).map(input => input.value);
+            if (ids.length === 0) {
+                alert('Choose at least one word list.');
+                return;
+            }
+            this.loadWordList(ids, document.getElementById('dictionary-mode').value);
+        });
+
+        document.getElementById('upload-dictionary-btn').addEventListener('click', () => {
+            document.getElementById('upload-dictionary-file').click();
+        });
+
+        document.getElementById('upload-dictionary-file').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow re-uploading the same file
+            if (file) {
+                this.uploadWordList(file);
+            }
+        });
+
         document.getElementById('solve-btn').addEventListener('click', () => {
             this.attemptSolve();
         });
 
+        // Candidate heatmap
+        document.getElementById('heatmap-toggle').addEventListener('change', (e) => {
+            this.heatmapEnabled = e.target.checked;
+            this.clearSelection();
+            this.updateHeatmap();
+        });
+
+        // Forced-move analysis
+        document.getElementById('analyze-btn').addEventListener('click', () => {
+            this.analyzeBoard();
+        });
+
+        document.getElementById('apply-forced-btn').addEventListener('click', () => {
+            this.applyNextForcedMove();
+        });
+
+        // Hints
+        document.getElementById('hint-btn').addEventListener('click', () => {
+            this.requestHint('word');
+        });
+
+        document.getElementById('spangram-hint-btn').addEventListener('click', () => {
+            this.requestHint('spangram');
+        });
+
         document.getElementById('cancel-solve-btn').addEventListener('click', () => {
             this.cancelSolve();
         });
+
+        // Review loop
+        document.getElementById('review-resolve-btn').addEventListener('click', () => {
+            this.applyReviewMarks();
+        });
+
+        document.getElementById('review-reset-btn').addEventListener('click', () => {
+            this.review.reset();
+            this.updateReview();
+        });
+
+        // Answer check
+        document.getElementById('enter-answers-btn').addEventListener('click', () => {
+            this.openAnswersDialog();
+        });
+
+        document.getElementById('check-answers-btn').addEventListener('click', () => {
+            this.checkAnswers();
+        });
+
+        document.getElementById('close-answers-btn').addEventListener('click', () => {
+            document.getElementById('answers-dialog').close();
+        });
+
+        document.getElementById('blacklist-wrong-btn').addEventListener('click', () => {
+            this.blacklistWrongWords();
+        });
+
+        // Play mode
+        document.getElementById('start-game-btn').addEventListener('click', () => {
+            this.startGame(document.getElementById('answer-key-text').value);
+        });
+
+        document.getElementById('load-answer-key-btn').addEventListener('click', () => {
+            document.getElementById('answer-key-file').click();
+        });
+
+        document.getElementById('answer-key-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) {
+                this.startGame(await file.text());
+            }
+        });
+
+        document.getElementById('restart-game-btn').addEventListener('click', () => {
+            this.restartGame();
+        });
+
+        document.getElementById('play-hint-btn').addEventListener('click', () => {
+            this.takePlayHint();
+        });
     }
 
-    async loadWordList() {
+    /**
+     * Combine word lists and make the result the active word set
+     * The prefix trees are rebuilt in place, so switching needs no page reload.
+     * @param {Array<string>} ids - Dictionary ids from the registry
+     * @param {string} mode - 'union' or 'intersection'
+     */
+    async loadWordList(ids, mode) {
+        if (this.solverClient.isBusy()) {
+            alert('The solver is running. Cancel it before switching word lists.');
+            return;
+        }
+
         const statusEl = document.getElementById('word-count');
         statusEl.textContent = 'Loading...';
+        const wasReady = this.wordListReady;
         this.wordListReady = false;
         
         try {
-            const loadedWordSet = await loadWordList();
-            if (loadedWordSet && loadedWordSet.size > 0) {
-                this.wordSet = loadedWordSet;
-                this.wordListReady = true; // Mark as ready
-                statusEl.textContent = `${this.wordSet.size.toLocaleString()} words`;
-                statusEl.style.color = 'var(--strands-darker-mint)';
-                
-                console.log('Word list loaded successfully:', {
-                    size: this.wordSet.size,
-                    wordListReady: this.wordListReady
-                });
-                
-                // Initialize solver if grid exists
-                if (this.grid) {
-                    this.solver = new Solver(this.grid, this.wordSet);
-                    console.log('Solver initialized with grid');
-                }
-            } else {
-                throw new Error('Word list loaded but is empty');
+            const loadedWordSet = await this.dictionaries.combine(ids, mode);
+            if (loadedWordSet.size === 0) {
+                throw new Error(mode === 'intersection' ? 'The chosen word lists have no words in common' : 'Word list loaded but is empty');
+            }
+
+            this.wordSet = loadedWordSet;
+            this.wordListReady = true; // Mark as ready
+            statusEl.style.color = 'var(--strands-darker-mint)';
+            
+            console.log('Word list loaded successfully:', {
+                lists: this.dictionaries.describeActive(),
+                size: this.wordSet.size,
+                wordListReady: this.wordListReady
+            });
+            
+            // The worker builds its own prefix tree once for all grids
+            this.solverClient.setWordSet(this.wordSet);
+            
+            // Rebuild the main-thread prefix tree, or create the solver if the grid exists
+            if (this.solver) {
+                this.solver.setWordSet(this.wordSet);
+            } else if (this.grid) {
+                this.solver = this.createSolver(this.grid);
+                console.log('Solver initialized with grid');
+            }
+
+            saveDictionarySelection(this.dictionaries.getActive());
+            if (this.gridDisplay) {
+                this.clearSelection();
+                this.wordManager.updatePossibleWords([]);
+                this.wordManager.updateSetWordsDisplay();
+                this.resetBoardScan();
+                this.updateHeatmap();
             }
         } catch (error) {
             console.error('Failed to load word list:', error);
+            alert(`Could not load word lists: ${error.message}`);
+            // Keep using the previous word set if there was one
+            this.wordListReady = wasReady && this.wordSet.size > 0;
+            if (!this.wordListReady) {
+                this.wordSet = new Set(); // Ensure it's at least initialized
+            }
+        }
+
+        this.updateWordListStatus();
+    }
+
+    /**
+     * Load the bundled frequency table used to rank, sort and filter words
+     * Without it everything still works, with all words treated alike.
+     */
+    async loadCommonness() {
+        try {
+            this.wordCommonness = await loadWordFrequencies();
+        } catch (error) {
+            console.warn('Word frequencies unavailable:', error);
+            return;
+        }
+
+        console.log('Word frequencies loaded:', this.wordCommonness.size);
+        if (this.solver) {
+            this.solver.setWordCommonness(this.wordCommonness);
+        }
+        this.solverClient.setWordCommonness(this.wordCommonness);
+        this.wordManager.setCommonnessLookup((word) => this.wordCommonness.get(word) || 0);
+    }
+
+    /**
+     * Rank words by relatedness to the puzzle clue
+     * The bundled associations are loaded on first use.
+     * @param {string} clue - Puzzle clue; empty to turn theme ranking off
+     */
+    async setTheme(clue) {
+        this.theme = clue.trim();
+        document.getElementById('theme-input').value = this.theme;
+        const statusEl = document.getElementById('theme-status');
+        this.autosave();
+
+        if (!this.theme) {
+            statusEl.textContent = '';
+            this.wordManager.setThemeRanker(null);
+            return;
+        }
+
+        if (!this.themeRanker) {
+            statusEl.textContent = 'Loading word associations...';
+            try {
+                this.themeRanker = await loadThemeRanker();
+            } catch (error) {
+                console.error('Failed to load word associations:', error);
+                statusEl.textContent = 'Word associations failed to load';
+                return;
+            }
+        }
+
+        const { known, unknown } = this.themeRanker.setTheme(this.theme);
+        if (known.length === 0) {
+            statusEl.textContent = 'None of the clue words are in the associations';
+            this.wordManager.setThemeRanker(null);
+            return;
+        }
+
+        statusEl.textContent = `Ranking by: ${known.join(', ')}${unknown.length > 0 ? ` (unknown: ${unknown.join(', ')})` : ''}`;
+        this.wordManager.setThemeRanker(this.themeRanker);
+        console.log('Theme set:', { theme: this.theme, known, unknown });
+    }
+
+    /**
+     * Show the active word lists and render the word list choices
+     */
+    updateWordListStatus() {
+        const statusEl = document.getElementById('word-count');
+        if (this.wordListReady) {
+            statusEl.textContent = `${this.wordSet.size.toLocaleString()} words`;
+            document.getElementById('word-list-name').textContent = this.dictionaries.describeActive();
+        } else {
             statusEl.textContent = 'Failed to load';
             statusEl.style.color = '#ef4444';
-            this.wordSet = new Set(); // Ensure it's at least initialized
-            this.wordListReady = false;
+        }
+
+        const { ids, mode } = this.dictionaries.getActive();
+        document.getElementById('dictionary-mode').value = mode;
+
+        const container = document.getElementById('dictionary-options');
+        container.innerHTML = '';
+        for (const dictionary of this.dictionaries.list()) {
+            const option = document.createElement('label');
+            option.className = 'dictionary-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = dictionary.id;
+            checkbox.checked = ids.includes(dictionary.id);
+            option.appendChild(checkbox);
+
+            const size = dictionary.size !== null ? ` (${dictionary.size.toLocaleString()})` : '';
+            option.appendChild(document.createTextNode(`${dictionary.name}${size}`));
+
+            if (dictionary.uploaded) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn-small';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    if (ids.includes(dictionary.id)) {
+                        alert('This word list is in use. Switch to other lists before removing it.');
+                        return;
+                    }
+                    this.dictionaries.removeUpload(dictionary.id);
+                    this.updateWordListStatus();
+                });
+                option.appendChild(removeBtn);
+            }
+
+            container.appendChild(option);
+        }
+    }
+
+    /**
+     * Add an uploaded word list file to the choices
+     * Uploaded lists last until the page is closed.
+     * @param {File} file - Text file with one word per line
+     */
+    async uploadWordList(file) {
+        let id;
+        try {
+            id = this.dictionaries.addUpload(file.name, await file.text());
+        } catch (error) {
+            console.error('Word list upload failed:', error);
+            alert(`Could not use ${file.name}: ${error.message}`);
+            return;
+        }
+
+        this.updateWordListStatus();
+        // Tick the new list so "Use" picks it up
+        const checkbox = document.querySelector(`#dictionary-options input[value="${CSS.escape(id)}"]`);
+        if (checkbox) {
+            checkbox.checked = true;
         }
     }
 
@@ -182,15 +694,12 @@ class StrandsApp {
         this.currentMode = mode;
         
         // Update UI buttons
-        const editBtn = document.getElementById('mode-edit');
-        const solveBtn = document.getElementById('mode-solve');
-        
-        if (mode === 'edit') {
-            editBtn.classList.add('active');
-            solveBtn.classList.remove('active');
-        } else {
-            editBtn.classList.remove('active');
-            solveBtn.classList.add('active');
+        for (const name of ['edit', 'solve', 'play']) {
+            document.getElementById(`mode-${name}`).classList.toggle('active', mode === name);
+            document.body.classList.toggle(`mode-${name}`, mode === name);
+        }
+        if (mode !== 'edit') {
+            this.hidePastePanel();
         }
         
         // Update grid display - ensure edit mode is properly set
@@ -198,7 +707,14 @@ class StrandsApp {
             const editModeEnabled = (mode === 'edit');
             console.log('Setting grid edit mode to:', editModeEnabled);
             this.gridDisplay.setEditMode(editModeEnabled);
+            this.gridDisplay.setPlayMode(mode === 'play');
+            if (mode === 'play') {
+                this.clearSelection();
+                this.wordManager.updatePossibleWords([]);
+            }
         }
+        this.updatePlayPanel();
+        this.updateHeatmap();
         
         // Hide grid size controls (fixed 6x8 grid)
         const sizeControls = document.getElementById('grid-size-controls');
@@ -207,6 +723,7 @@ class StrandsApp {
         }
         
         console.log('Mode set. Current mode:', this.currentMode, 'Edit mode:', this.gridDisplay?.editMode);
+        this.autosave();
     }
 
     setGrid(grid) {
@@ -219,84 +736,388 @@ class StrandsApp {
         if (rowsInput) rowsInput.value = grid.length;
         if (colsInput) colsInput.value = grid[0].length;
         
-        // Initialize or update solver if word list is ready
-        if (this.wordListReady && this.wordSet.size > 0) {
-            this.solver = new Solver(grid, this.wordSet);
+        // Point the solver at the new letters; its prefix tree depends only on the word list
+        if (this.solver) {
+            this.solver.setGrid(grid);
+        } else if (this.wordListReady && this.wordSet.size > 0) {
+            this.solver = this.createSolver(grid);
             console.log('Solver initialized in setGrid');
         }
         
         // Clear word lists when grid changes
         this.wordManager.updatePossibleWords([]);
         this.wordManager.updateProposedWord(null);
+        this.trackPuzzle(grid);
+        this.autosave();
     }
 
     // Grid size is fixed at 6x8, so this method is no longer needed
 
-    onGridEdit(grid) {
+    onGridEdit(grid, edit = null) {
         this.grid = grid;
         if (this.solver) {
             this.solver.setGrid(grid);
         }
-    }
+        this.trackPuzzle(grid);
+        this.autosave();
 
-    onCellClick(row, col) {
-        console.log('onCellClick called:', {
-            row,
-            col,
-            currentMode: this.currentMode,
-            hasGrid: !!this.grid,
-            hasSolver: !!this.solver,
-            wordListReady: this.wordListReady,
-            wordSetSize: this.wordSet?.size
-        });
-        
-        if (this.currentMode !== 'solve') {
-            console.log('Not in solve mode, ignoring click');
-            return;
+        if (edit && edit.previous !== edit.letter) {
+            const { row, col, previous, letter } = edit;
+            this.history.push({
+                label: `Edit cell (${row},${col})`,
+                undo: () => this.setCellLetter(row, col, previous),
+                redo: () => this.setCellLetter(row, col, letter)
+            });
         }
-        
-        if (!this.grid) {
-            console.warn('No grid available');
-            return;
+    }
+
+    /**
+     * Set one grid letter (used by undo/redo of cell edits)
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {string} letter - New letter
+     */
+    setCellLetter(row, col, letter) {
+        this.grid[row][col] = letter;
+        this.gridDisplay.render();
+        if (this.solver) {
+            this.solver.setGrid(this.grid);
         }
-        
-        // Ensure solver is initialized
-        if (!this.solver) {
-            if (this.wordListReady && this.wordSet.size > 0) {
-                console.log('Initializing solver in onCellClick');
-                this.solver = new Solver(this.grid, this.wordSet);
-            } else {
-                console.warn('Word list not ready, cannot initialize solver');
-                alert('Word list not loaded. Please wait...');
-                return;
+        this.wordManager.updatePossibleWords([]);
+        this.trackPuzzle(this.grid);
+        this.autosave();
+    }
+
+    /**
+     * Point hints and the play game at the current letters; a different grid drops their answers
+     * @param {Array<Array<string>>} grid - 2D array of letters
+     */
+    trackPuzzle(grid) {
+        if (this.hints.setPuzzle(grid)) {
+            this.checkedAnswers = null;
+            this.review.reset();
+            this.resetBoardScan();
+            if (this.play.hasKey()) {
+                this.play.clearKey();
+                this.updatePlayPanel();
             }
         }
-        
-        if (!this.solver) {
-            console.error('Solver not available');
-            alert('Solver not initialized. Please wait for word list to load.');
-            return;
+        this.updateHints();
+    }
+
+    /**
+     * Copy the state that undo/redo restores
+     * @returns {Object} Grid, set words, blacklist and custom words
+     */
+    getBoardSnapshot() {
+        return {
+            grid: deepCopy2D(this.grid),
+            setWords: this.wordManager.getSetWords().map(([word, positions, isSpangram = false]) => [
+                word,
+                positions.map(([row, col]) => [row, col]),
+                isSpangram
+            ]),
+            blacklist: Array.from(this.wordManager.getBlacklistedWords()),
+            customWords: Array.from(this.wordManager.getCustomWords())
+        };
+    }
+
+    /**
+     * Restore a snapshot from getBoardSnapshot
+     * @param {Object} snapshot - Board snapshot
+     */
+    restoreBoardSnapshot(snapshot) {
+        // Only replace the grid when the letters differ
+        if (JSON.stringify(snapshot.grid) !== JSON.stringify(this.grid)) {
+            this.setGrid(deepCopy2D(snapshot.grid));
         }
 
-        console.log('Finding words from position:', row, col);
-        
-        // Check if this cell is part of a found word
-        const setWords = this.wordManager.getSetWords();
-        let foundWordIndex = -1;
-        
-        for (let i = 0; i < setWords.length; i++) {
-            const [word, positions] = setWords[i];
-            // Check if the clicked cell is in this word's positions
-            const isInWord = positions.some(p => p[0] === row && p[1] === col);
-            if (isInWord) {
-                foundWordIndex = i;
-                break;
-            }
+        this.wordManager.clearSetWords();
+        for (const [word, positions, isSpangram] of snapshot.setWords) {
+            this.wordManager.addSetWord(word, positions.map(([row, col]) => [row, col]), isSpangram);
         }
-        
-        if (foundWordIndex >= 0) {
-            // Cell is part of a found word - toggle selection
-            console.log('Cell is part of found word at index:', foundWordIndex);
+        this.wordManager.clearBlacklist();
+        for (const word of snapshot.blacklist) {
+            this.wordManager.blacklistWord(word);
+        }
+        this.wordManager.clearCustomWords();
+        for (const word of snapshot.customWords) {
+            this.wordManager.addCustomWord(word);
+        }
+
+        this.wordManager.updatePossibleWords([]);
+        this.clearSelection();
+        this.updateDisplay();
+    }
+
+    /**
+     * Run a change and record it for undo if it changed the board
+     * @param {string} label - Shown in the undo/redo button tooltips
+     * @param {Function} mutate - Performs the change
+     * @returns {*} Whatever mutate returns
+     */
+    recordChange(label, mutate) {
+        const before = this.getBoardSnapshot();
+        const result = mutate();
+        const after = this.getBoardSnapshot();
+
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            this.history.push({
+                label,
+                undo: () => this.restoreBoardSnapshot(before),
+                redo: () => this.restoreBoardSnapshot(after)
+            });
+        }
+        return result;
+    }
+
+    undo() {
+        const command = this.history.undo();
+        if (command) {
+            console.log('Undid:', command.label);
+        }
+    }
+
+    redo() {
+        const command = this.history.redo();
+        if (command) {
+            console.log('Redid:', command.label);
+        }
+    }
+
+    updateHistoryButtons() {
+        const undoBtn = document.getElementById('undo-btn');
+        const redoBtn = document.getElementById('redo-btn');
+        if (!undoBtn || !redoBtn) return;
+
+        undoBtn.disabled = !this.history.canUndo();
+        redoBtn.disabled = !this.history.canRedo();
+        undoBtn.title = this.history.canUndo() ? `Undo ${this.history.getUndoLabel()} (Ctrl+Z)` : 'Nothing to undo';
+        redoBtn.title = this.history.canRedo() ? `Redo ${this.history.getRedoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo';
+    }
+
+    /**
+     * Create a main-thread solver that includes the whitelist
+     * @param {Array<Array<string>>} grid - The grid
+     * @returns {Solver}
+     */
+    createSolver(grid) {
+        const solver = new Solver(grid, this.wordSet);
+        solver.setExtraWords(this.wordManager.getCustomWords());
+        solver.setWordCommonness(this.wordCommonness);
+        return solver;
+    }
+
+    /**
+     * Add the word typed in the whitelist input
+     */
+    addWhitelistWord() {
+        const input = document.getElementById('whitelist-word');
+        const word = input.value.trim().toUpperCase();
+
+        if (!/^[A-Z]{4,}$/.test(word)) {
+            alert('Whitelist words must be at least 4 letters, A-Z only.');
+            return;
+        }
+        if (this.wordSet.has(word)) {
+            alert(`${word} is already in the word list.`);
+            return;
+        }
+
+        this.recordChange(`Whitelist ${word}`, () => {
+            this.wordManager.addCustomWord(word);
+            this.updateDisplay();
+        });
+        input.value = '';
+    }
+
+    /**
+     * Restore a blacklisted word or drop a whitelisted one
+     * @param {string} listName - 'blacklist' or 'whitelist'
+     * @param {string} word - The word
+     */
+    removeListWord(listName, word) {
+        if (listName === 'blacklist') {
+            this.recordChange(`Restore ${word}`, () => {
+                this.wordManager.unblacklistWord(word);
+                this.updateDisplay();
+            });
+        } else {
+            this.recordChange(`Remove ${word} from whitelist`, () => {
+                this.wordManager.removeCustomWord(word);
+                this.updateDisplay();
+            });
+        }
+    }
+
+    /**
+     * Download the blacklist and whitelist as JSON
+     */
+    exportWordLists() {
+        const lists = {
+            blacklist: Array.from(this.wordManager.getBlacklistedWords()).sort(),
+            whitelist: Array.from(this.wordManager.getCustomWords()).sort()
+        };
+        this.downloadFile('strands-word-lists.json', JSON.stringify(lists, null, 2), 'application/json');
+    }
+
+    /**
+     * Copy a link that encodes the grid, set words and optionally the blacklist
+     */
+    async sharePuzzle() {
+        const includeBlacklist = document.getElementById('share-blacklist').checked;
+        const hash = encodeShareHash({
+            grid: this.grid,
+            setWords: this.wordManager.getSetWords(),
+            blacklist: includeBlacklist ? Array.from(this.wordManager.getBlacklistedWords()) : null
+        });
+        const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+
+        try {
+            await navigator.clipboard.writeText(url);
+            alert('Share link copied to the clipboard.');
+        } catch (error) {
+            console.warn('Clipboard unavailable:', error);
+            prompt('Copy this share link:', url);
+        }
+    }
+
+    /**
+     * Load a puzzle from a share link hash
+     * @param {string} hash - window.location.hash
+     */
+    applyShareHash(hash) {
+        if (!hash || hash === '#') {
+            return;
+        }
+
+        let shared;
+        try {
+            shared = decodeShareHash(hash);
+        } catch (error) {
+            console.error('Invalid share link:', error);
+            alert(`This share link is invalid: ${error.message}. The current puzzle was kept.`);
+            return;
+        }
+
+        this.recordChange('Load shared puzzle', () => {
+            this.applySessionState({
+                ...this.getSessionState(),
+                grid: shared.grid,
+                setWords: shared.setWords,
+                blacklist: shared.blacklist || Array.from(this.wordManager.getBlacklistedWords())
+            });
+        });
+
+        // Drop the hash so a refresh restores the autosaved session instead
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+
+    onGridPaste(text) {
+        // Show the text in the paste panel so any mistake can be fixed there
+        if (!this.importGridText(text)) {
+            this.showPastePanel(text);
+        }
+    }
+
+    showPastePanel(text) {
+        document.getElementById('paste-grid-text').value = text;
+        document.getElementById('paste-grid-panel').hidden = false;
+        document.getElementById('paste-grid-text').focus();
+    }
+
+    hidePastePanel() {
+        document.getElementById('paste-grid-panel').hidden = true;
+        document.getElementById('paste-grid-error').textContent = '';
+    }
+
+    /**
+     * Replace the grid with pasted text
+     * @param {string} text - One row per line, or all letters on one line
+     * @returns {boolean} True if the grid was replaced
+     */
+    importGridText(text) {
+        const rows = this.grid.length;
+        const cols = this.grid[0].length;
+        const { grid, error } = parseGridInput(text, rows, cols);
+
+        if (error) {
+            document.getElementById('paste-grid-error').textContent = error;
+            return false;
+        }
+
+        if (this.wordManager.getSetWords().length > 0 && !confirm('Replace the grid? Found words will be cleared.')) {
+            return false;
+        }
+
+        this.recordChange('Import grid', () => {
+            this.wordManager.clearSetWords();
+            this.setGrid(grid);
+            this.clearSelection();
+            this.updateDisplay();
+        });
+        this.hidePastePanel();
+        return true;
+    }
+
+    onCellClick(row, col) {
+        console.log('onCellClick called:', {
+            row,
+            col,
+            currentMode: this.currentMode,
+            hasGrid: !!this.grid,
+            hasSolver: !!this.solver,
+            wordListReady: this.wordListReady,
+            wordSetSize: this.wordSet?.size
+        });
+        
+        if (this.currentMode !== 'solve') {
+            console.log('Not in solve mode, ignoring click');
+            return;
+        }
+        
+        if (!this.grid) {
+            console.warn('No grid available');
+            return;
+        }
+        
+        // Ensure solver is initialized
+        if (!this.solver) {
+            if (this.wordListReady && this.wordSet.size > 0) {
+                console.log('Initializing solver in onCellClick');
+                this.solver = this.createSolver(this.grid);
+            } else {
+                console.warn('Word list not ready, cannot initialize solver');
+                alert('Word list not loaded. Please wait...');
+                return;
+            }
+        }
+        
+        if (!this.solver) {
+            console.error('Solver not available');
+            alert('Solver not initialized. Please wait for word list to load.');
+            return;
+        }
+
+        console.log('Finding words from position:', row, col);
+        
+        // Check if this cell is part of a found word
+        const setWords = this.wordManager.getSetWords();
+        let foundWordIndex = -1;
+        
+        for (let i = 0; i < setWords.length; i++) {
+            const [word, positions] = setWords[i];
+            // Check if the clicked cell is in this word's positions
+            const isInWord = positions.some(p => p[0] === row && p[1] === col);
+            if (isInWord) {
+                foundWordIndex = i;
+                break;
+            }
+        }
+        
+        if (foundWordIndex >= 0) {
+            // Cell is part of a found word - toggle selection
+            console.log('Cell is part of found word at index:', foundWordIndex);
             
             // Toggle selection (selectSetWord already handles toggling and callbacks)
             this.wordManager.selectSetWord(foundWordIndex);
@@ -319,22 +1140,43 @@ class StrandsApp {
             this.gridDisplay.setProposedWord(null, null);
             this.wordManager.updateProposedWord(null);
 
-            // Find words starting from this position
-            const usedPositions = this.wordManager.getUsedPositions();
-            const blacklistedWords = this.wordManager.getBlacklistedWords();
-            
-            const words = this.solver.findWordsDFS(
-                row, 
-                col, 
-                usedPositions, 
-                blacklistedWords,
-                4, 
+            this.showPossibleWords(row, col);
+        }
+    }
+
+    /**
+     * List the words for an unused cell in Possible Words
+     * With the heatmap on, or the search set to "through", every word through the cell is listed,
+     * grouped by where the cell sits in the word; otherwise the words starting there.
+     * Words through the cell come from the board scan in the worker, so only the first click
+     * after a change waits for it.
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     */
+    async showPossibleWords(row, col) {
+        let words;
+        if (this.heatmapEnabled || this.possibleSearch === 'through') {
+            const scan = await this.requestBoardScan();
+            const cell = this.gridDisplay.selectedCellForWords;
+            const stillWanted = this.heatmapEnabled || this.possibleSearch === 'through';
+            if (!scan || !stillWanted || !cell || cell.row !== row || cell.col !== col) {
+                // The board, the search or the clicked cell changed while the worker was scanning
+                return;
+            }
+            words = findWordsThroughCell(scan.candidates, scan.cellCandidates, row, col);
+        } else {
+            words = this.solver.findWordsDFS(
+                row,
+                col,
+                this.wordManager.getUsedPositions(),
+                this.wordManager.getBlacklistedWords(),
+                4,
                 15
             );
-
-            console.log('Found words:', words.length);
-            this.wordManager.updatePossibleWords(words);
         }
+
+        console.log('Found words:', words.length);
+        this.wordManager.updatePossibleWords(words);
     }
 
     onWordSelected(word, positions) {
@@ -355,25 +1197,85 @@ class StrandsApp {
             return;
         }
 
-        // Find the word in foundWordsData
-        const proposedWord = this.wordManager.foundWordsData.find(
-            ([w]) => w === proposedWordText
-        );
+        // Take the selected entry: a word can be listed once per path, so its text is not enough
+        const proposedWord = this.wordManager.getSelectedFoundWord();
 
-        if (proposedWord) {
+        if (proposedWord && proposedWord[0] === proposedWordText) {
             const [word, positions] = proposedWord;
-            this.wordManager.addSetWord(word, positions);
-            this.clearSelection();
-            this.updateDisplay();
+            this.recordChange(`Add ${word}`, () => {
+                this.wordManager.addSetWord(word, positions, this.isNewSpangram(positions));
+                this.clearSelection();
+                this.updateDisplay();
+            });
         } else {
             alert('Word not found in possible words. Please select a word from the list first.');
         }
     }
 
+    /**
+     * Check if a path should become the spangram: the first word spanning opposite edges is taken
+     * @param {Array<[number, number]>} positions - Word path
+     * @returns {boolean}
+     */
+    isNewSpangram(positions) {
+        return !!this.solver && this.solver.isSpangram(positions) && !this.wordManager.hasSpangram();
+    }
+
+    /**
+     * Handle a word traced by dragging across the grid
+     * @param {Array<[number, number]>} positions - Traced path (adjacent, no reused cells)
+     */
+    onTrace(positions) {
+        if (this.currentMode === 'play') {
+            this.onPlayTrace(positions);
+            return;
+        }
+        if (this.currentMode !== 'solve') {
+            return;
+        }
+
+        const word = positions.map(([row, col]) => this.grid[row][col]).join('');
+        this.clearSelection();
+
+        if (word.length < 4) {
+            this.wordManager.updateProposedWord(`${word}: too short`);
+            return;
+        }
+        if (this.wordManager.getSetWords().some(([w]) => w === word)) {
+            this.wordManager.updateProposedWord(`${word}: already found`);
+            return;
+        }
+        if (this.wordManager.getBlacklistedWords().has(word)) {
+            this.wordManager.updateProposedWord(`${word}: blacklisted`);
+            return;
+        }
+
+        const isCustom = !this.wordSet.has(word) && !this.wordManager.isCustomWord(word);
+        if (isCustom) {
+            this.wordManager.updateProposedWord(`${word}: not in word list`);
+            if (!confirm(`"${word}" is not in the word list. Add it anyway as a custom word?`)) {
+                return;
+            }
+        }
+
+        this.recordChange(`Add ${word}`, () => {
+            if (isCustom) {
+                this.wordManager.addCustomWord(word);
+            }
+            this.wordManager.addSetWord(word, positions, this.isNewSpangram(positions));
+            this.wordManager.updateProposedWord(null);
+            this.updateDisplay();
+        });
+    }
+
     blacklistCurrentWord() {
         const word = document.getElementById('proposed-word').textContent;
         if (word) {
-            this.wordManager.blacklistWord(word);
+            this.recordChange(`Blacklist ${word}`, () => {
+                this.wordManager.blacklistWord(word);
+                this.updateWordLists();
+            });
+            this.autosave();
             this.clearSelection();
             // Refresh word list if we have a selected cell
             if (this.grid) {
@@ -395,17 +1297,27 @@ class StrandsApp {
     removeSelectedWord() {
         const index = this.wordManager.getSelectedSetWordIndex();
         if (index >= 0) {
-            // Remove and blacklist the word so future solves won't use it
-            const removed = this.wordManager.blacklistAndRemoveWord(index);
-            if (removed) {
-                console.log(`Removed and blacklisted word: ${removed[0]}`);
-            }
-            this.updateDisplay();
+            this.removeSetWord(index);
         } else {
             alert('Please select a word to remove.');
         }
     }
 
+    /**
+     * Remove a found word and blacklist it so future solves won't use it
+     * @param {number} index - Index in the found words list
+     */
+    removeSetWord(index) {
+        const removed = this.recordChange('Remove word', () => {
+            const removedWord = this.wordManager.blacklistAndRemoveWord(index);
+            this.updateDisplay();
+            return removedWord;
+        });
+        if (removed) {
+            console.log(`Removed and blacklisted word: ${removed[0]}`);
+        }
+    }
+
     onSetWordSelected(word, positions, index) {
         // Update the grid display to highlight the selected word
         this.gridDisplay.setSelectedSetWordIndex(index);
@@ -428,6 +1340,260 @@ class StrandsApp {
         const setWords = this.wordManager.getSetWords();
         this.gridDisplay.setSetWords(setWords);
         this.gridDisplay.setSelectedSetWordIndex(this.wordManager.getSelectedSetWordIndex());
+        this.updateWordLists();
+        this.updateHints();
+        this.updatePlayPanel();
+        this.updateReview();
+        this.updateHeatmap();
+
+        // A board change makes the forced moves out of date
+        if (this.analysisKey !== null && this.analysisKey !== JSON.stringify(this.getBoardSnapshot())) {
+            this.forcedMoves = null;
+            this.analysisKey = null;
+            this.wordManager.updateForcedMovesList(null);
+        }
+        this.autosave();
+    }
+
+    /**
+     * Show the blacklist and whitelist and keep the solver's whitelist in sync
+     */
+    updateWordLists() {
+        if (this.solver) {
+            this.solver.setExtraWords(this.wordManager.getCustomWords());
+        }
+        this.wordManager.updateWordListsDisplay();
+    }
+
+    /**
+     * Collect the state that is autosaved and stored in saved puzzles
+     * @returns {Object} Grid, set words, blacklist, mode and solver settings
+     */
+    getSessionState() {
+        return {
+            grid: deepCopy2D(this.grid),
+            setWords: this.wordManager.getSetWords(),
+            blacklist: Array.from(this.wordManager.getBlacklistedWords()),
+            customWords: Array.from(this.wordManager.getCustomWords()),
+            mode: this.currentMode,
+            maxAttempts: this.maxAttempts,
+            targetWordCount: this.targetWordCount,
+            solverStrategy: this.solverStrategy,
+            maxSolutions: this.maxSolutions,
+            minCommonness: this.minCommonness,
+            theme: this.theme,
+            hintsUsed: this.hints.hintsUsed,
+            play: this.play.getState()
+        };
+    }
+
+    /**
+     * Restore an autosaved session or a saved puzzle
+     * @param {Object|null} state - State from getSessionState
+     * @returns {boolean} True if the state had a valid grid and was applied
+     */
+    applySessionState(state) {
+        if (!state || !validateGrid(state.grid)) {
+            if (state) {
+                console.warn('Ignoring saved state with an invalid grid');
+            }
+            return false;
+        }
+
+        this.setGrid(deepCopy2D(state.grid));
+
+        this.wordManager.clearSetWords();
+        for (const [word, positions, isSpangram = false] of state.setWords || []) {
+            this.wordManager.addSetWord(word, positions, isSpangram);
+        }
+        this.wordManager.clearBlacklist();
+        for (const word of state.blacklist || []) {
+            this.wordManager.blacklistWord(word);
+        }
+        this.wordManager.clearCustomWords();
+        for (const word of state.customWords || []) {
+            this.wordManager.addCustomWord(word);
+        }
+
+        if (Number.isInteger(state.hintsUsed) && state.hintsUsed >= 0) {
+            this.hints.hintsUsed = state.hintsUsed;
+        }
+        if (this.play.restoreState(this.grid, state.play)) {
+            this.hints.setSolution(this.play.answers);
+        }
+
+        this.setSolverSettings(state);
+        if (typeof state.theme === 'string' && state.theme !== this.theme) {
+            this.setTheme(state.theme);
+        }
+        this.clearSelection();
+        this.updateDisplay();
+        if (state.mode === 'edit' || state.mode === 'solve' || state.mode === 'play') {
+            this.setMode(state.mode);
+        }
+        return true;
+    }
+
+    /**
+     * Apply solver settings and show them in the Solver panel
+     * Missing or invalid values (e.g. from an old autosave) fall back to the defaults.
+     * @param {Object} settings - maxAttempts, targetWordCount, solverStrategy, maxSolutions, minCommonness
+     */
+    setSolverSettings(settings) {
+        const valid = normalizeSolverSettings(settings);
+        this.maxAttempts = valid.maxAttempts;
+        this.targetWordCount = valid.targetWordCount;
+        this.solverStrategy = valid.solverStrategy;
+        this.maxSolutions = valid.maxSolutions;
+        this.minCommonness = valid.minCommonness;
+        this.wordManager.setPossibleWordsView({ minCommonness: this.minCommonness });
+
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value;
+        };
+        setValue('max-attempts', this.maxAttempts);
+        setValue('target-words', this.targetWordCount || '');
+        setValue('solver-strategy', this.solverStrategy);
+        setValue('max-solutions', this.maxSolutions);
+        setValue('min-commonness', Math.round(this.minCommonness * 100));
+    }
+
+    /**
+     * Save the current state as the last session
+     */
+    autosave() {
+        if (!this.sessionReady || !this.grid) {
+            return;
+        }
+        saveSession(this.getSessionState());
+    }
+
+    /**
+     * Offer text as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} text - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    exportSession() {
+        const date = new Date().toISOString().slice(0, 10);
+        const json = serializeSessionFile(this.getSessionState(), this.lastSolverOutput);
+        this.downloadFile(`strands-session-${date}.json`, json, 'application/json');
+    }
+
+    /**
+     * Load a session JSON file, validating every word path first
+     * @param {File} file - The chosen file
+     */
+    async importSession(file) {
+        let state;
+        try {
+            state = parseSessionFile(await file.text());
+        } catch (error) {
+            console.error('Session import failed:', error);
+            alert(`Could not import ${file.name}: ${error.message}`);
+            return;
+        }
+
+        if (!confirm(`Import ${file.name}? The current grid, words and blacklist will be replaced.`)) {
+            return;
+        }
+
+        this.recordChange('Import session', () => {
+            this.applySessionState(state);
+        });
+        this.lastSolverOutput = state.solverOutput;
+        document.getElementById('solve-progress').textContent = state.solverOutput.log;
+        this.wordManager.updateSolutionsList(state.solverOutput.solutions);
+    }
+
+    saveCurrentPuzzle() {
+        const nameInput = document.getElementById('puzzle-name');
+        const name = nameInput.value.trim() || new Date().toLocaleDateString();
+        if (savePuzzle(name, this.getSessionState())) {
+            nameInput.value = '';
+            this.updateSavedPuzzlesList();
+        } else {
+            alert('Could not save the puzzle. Browser storage may be full or disabled.');
+        }
+    }
+
+    /**
+     * Render the saved puzzles library, newest first
+     */
+    updateSavedPuzzlesList() {
+        const container = document.getElementById('saved-puzzles-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const puzzles = listPuzzles();
+        if (puzzles.length === 0) {
+            const item = document.createElement('div');
+            item.className = 'word-item';
+            item.textContent = 'No saved puzzles yet.';
+            item.style.cursor = 'default';
+            container.appendChild(item);
+            return;
+        }
+
+        for (const puzzle of puzzles) {
+            const item = document.createElement('div');
+            item.className = 'word-item saved-puzzle';
+
+            const label = document.createElement('div');
+            label.className = 'saved-puzzle-name';
+            label.textContent = puzzle.name;
+            const date = document.createElement('small');
+            date.className = 'solution-meta';
+            date.textContent = new Date(puzzle.savedAt).toLocaleString();
+            label.appendChild(date);
+            item.appendChild(label);
+
+            const actions = document.createElement('div');
+            actions.className = 'saved-puzzle-actions';
+            const addAction = (text, handler) => {
+                const button = document.createElement('button');
+                button.className = 'btn-small';
+                button.textContent = text;
+                button.addEventListener('click', handler);
+                actions.appendChild(button);
+            };
+            addAction('Load', () => {
+                const saved = loadPuzzle(puzzle.id);
+                if (saved && confirm(`Load "${saved.name}"? The current grid and words will be replaced.`)) {
+                    if (!this.recordChange('Load puzzle', () => this.applySessionState(saved.state))) {
+                        alert('This saved puzzle is damaged and could not be loaded.');
+                    }
+                }
+            });
+            addAction('Rename', () => {
+                const name = prompt('Rename puzzle:', puzzle.name);
+                if (name && name.trim()) {
+                    renamePuzzle(puzzle.id, name.trim());
+                    this.updateSavedPuzzlesList();
+                }
+            });
+            addAction('Delete', () => {
+                if (confirm(`Delete "${puzzle.name}"?`)) {
+                    deletePuzzle(puzzle.id);
+                    this.updateSavedPuzzlesList();
+                }
+            });
+            item.appendChild(actions);
+
+            container.appendChild(item);
+        }
     }
 
     async attemptSolve() {
@@ -435,7 +1601,7 @@ class StrandsApp {
         console.log('Attempt solve - checking state:', {
             wordListReady: this.wordListReady,
             wordSetSize: this.wordSet?.size,
-            hasSolver: !!this.solver,
+            solverBusy: this.solverClient.isBusy(),
             hasGrid: !!this.grid
         });
         
@@ -449,125 +1615,733 @@ class StrandsApp {
             return;
         }
         
-        // Ensure solver is initialized
-        if (!this.solver) {
-            if (this.grid && this.wordSet.size > 0) {
-                this.solver = new Solver(this.grid, this.wordSet);
-                console.log('Solver initialized in attemptSolve');
-            } else {
-                alert('Grid or word list not ready. Please ensure both are loaded.');
-                return;
-            }
+        if (!this.grid) {
+            alert('Grid not ready. Please ensure the grid is set up.');
+            return;
         }
-        
-        if (!this.solver) {
-            alert('Solver not initialized. Please ensure the grid is set up.');
+
+        if (this.solverClient.isBusy()) {
+            alert('The solver is already running. Cancel it first to start a new solve.');
             return;
         }
 
         this.solveCancelled = false;
         const progressEl = document.getElementById('solve-progress');
         progressEl.textContent = 'Starting solve...\n';
-
-        // Get all possible words from all positions
-        const allPossibleWords = [];
-        const usedPositions = this.wordManager.getUsedPositions();
-        const blacklistedWords = this.wordManager.getBlacklistedWords();
+        this.wordManager.updateSolutionsList([]);
 
         const updateProgress = (message) => {
             progressEl.textContent += message + '\n';
             progressEl.scrollTop = progressEl.scrollHeight;
         };
 
-        // Find words from all positions
-        for (let row = 0; row < this.grid.length; row++) {
-            for (let col = 0; col < this.grid[0].length; col++) {
-                if (this.solveCancelled) {
-                    progressEl.textContent += 'Solve cancelled.\n';
-                    return;
+        const onProgress = (progress) => {
+            if (this.solveCancelled) return;
+            if (progress.stage === 'scan') {
+                updateProgress(`Scanning position (${progress.row},${progress.col})...`);
+            } else if (progress.stage === 'scanned') {
+                updateProgress(`Found ${progress.wordCount} possible words`);
+                if (this.targetWordCount > 0) {
+                    updateProgress(`Target: ${this.targetWordCount} words (spangram included)`);
                 }
+                updateProgress('Attempting to solve...');
+            } else if (progress.stage === 'found') {
+                updateProgress(`Complete solutions found: ${progress.solutionCount}`);
+            } else {
+                updateProgress(`Attempts: ${progress.attempts}, Words: ${progress.wordCount}, Coverage: ${progress.coverage.toFixed(1)}%`);
+            }
+        };
+
+        const onPartial = (solution, coverage) => {
+            if (this.solveCancelled) return;
+            updateProgress(`New best: ${solution.length} words, ${coverage.toFixed(1)}% coverage`);
+        };
+
+        // Scan and solve in the worker so the page stays responsive
+        let result;
+        try {
+            result = await this.solverClient.solve({
+                grid: this.grid,
+                existingWords: this.wordManager.getSetWords(),
+                blacklistedWords: this.wordManager.getBlacklistedWords(),
+                extraWords: Array.from(this.wordManager.getCustomWords()),
+                maxAttempts: this.maxAttempts,
+                targetWordCount: this.targetWordCount,
+                strategy: this.solverStrategy,
+                maxSolutions: this.maxSolutions,
+                minCommonness: this.minCommonness,
+                theme: this.theme
+            }, { onProgress, onPartial });
+        } catch (error) {
+            console.error('Solve failed:', error);
+            updateProgress(`Solver error: ${error.message}`);
+            return;
+        }
+
+        if (result.cancelled || this.solveCancelled) {
+            return;
+        }
+
+        this.applySolveResult(result.solution, result.exhausted && result.solutions.length === 0, updateProgress);
+        if (result.solution) {
+            this.startReviewRound(result.solution);
+        }
+
+        if (result.solutions.length > 0) {
+            updateProgress(`${result.solutions.length} complete solution(s) ranked by score; pick one below to apply it.`);
+            if (result.exhausted) {
+                updateProgress('These are all the complete solutions.');
+            }
+            this.wordManager.updateSolutionsList(result.solutions);
+        }
 
-                updateProgress(`Scanning position (${row},${col})...`);
+        this.lastSolverOutput = { log: progressEl.textContent, solutions: result.solutions };
+    }
 
-                const wordsFromPos = this.solver.findWordsDFS(
-                    row, 
-                    col, 
-                    usedPositions, 
-                    blacklistedWords,
-                    4, 
-                    15
-                );
+    /**
+     * Report a solver result and apply it to the found words
+     * @param {Array<[string, Array<[number, number]>, boolean]>|null} solution - Solver output
+     * @param {boolean} exhausted - True if the search proved no complete cover exists
+     * @param {Function} updateProgress - Appends a line to the progress display
+     */
+    applySolveResult(solution, exhausted, updateProgress) {
+        if (exhausted) {
+            updateProgress('No complete cover exists with the current word list and blacklist.');
+        }
 
-                for (const [word, coords] of wordsFromPos) {
-                    allPossibleWords.push([word, coords, coords.length]);
+        if (solution) {
+            const usedPositions = new Set();
+            for (const [word, coords] of solution) {
+                for (const [row, col] of coords) {
+                    usedPositions.add(`${row},${col}`);
                 }
             }
+
+            const coveragePercent = (usedPositions.size / (this.grid.length * this.grid[0].length)) * 100;
+            const spangramCount = solution.filter(([word, coords, isSpangram]) => isSpangram).length;
+            const matchesTarget = this.targetWordCount === 0 || solution.length === this.targetWordCount;
+
+            if (this.solver.isCompleteSolution(solution, this.targetWordCount)) {
+                updateProgress('COMPLETE SOLUTION FOUND!');
+            } else {
+                updateProgress(`BEST PARTIAL SOLUTION FOUND!`);
+                updateProgress(`Coverage: ${coveragePercent.toFixed(1)}% (${usedPositions.size}/${this.grid.length * this.grid[0].length} letters)`);
+                if (spangramCount === 0) {
+                    updateProgress('No spangram found.');
+                }
+                if (!matchesTarget) {
+                    updateProgress(`Word count ${solution.length} does not match target of ${this.targetWordCount}.`);
+                }
+            }
+
+            updateProgress(`Words: ${solution.length}`);
+            solution.forEach(([word, coords, isSpangram], i) => {
+                updateProgress(`${i + 1}. ${word}${isSpangram ? ' (spangram)' : ''}`);
+            });
+
+            this.applySolution(solution);
+        } else {
+            updateProgress('No solution found.');
+            updateProgress('Try removing some set words.');
         }
+    }
 
-        updateProgress(`Found ${allPossibleWords.length} possible words`);
-        updateProgress('Attempting to solve...');
+    /**
+     * Give the next hint step, solving in the background first if there is no usable solution
+     * The solution is never shown; found words that aren't in it trigger a new solve around them.
+     * @param {string} kind - 'word' for a theme word or 'spangram'
+     */
+    async requestHint(kind) {
+        if (!this.wordListReady) {
+            alert('Word list not loaded. Please wait for the word list to finish loading.');
+            return;
+        }
+        if (this.solverClient.isBusy()) {
+            alert('The solver is already running. Wait for it or cancel it first.');
+            return;
+        }
 
-        // Solve with progress updates
-        const existingWords = this.wordManager.getSetWords();
-        
-        const onProgress = (attempts, wordCount, coverage) => {
-            if (this.solveCancelled) return;
-            updateProgress(`Attempts: ${attempts}, Words: ${wordCount}, Coverage: ${coverage.toFixed(1)}%`);
-        };
+        const hintText = document.getElementById('hint-text');
+        const setWords = this.wordManager.getSetWords();
+        this.hints.setPuzzle(this.grid);
 
-        const shouldCancel = () => this.solveCancelled;
+        if (!this.hints.isConsistent(setWords)) {
+            const puzzleKey = this.hints.puzzleKey;
+            hintText.textContent = 'Working out the answer for hints...';
 
-        // Run solver
-        setTimeout(() => {
-            const solution = this.solver.solvePuzzle(
-                allPossibleWords,
-                existingWords,
-                onProgress,
-                shouldCancel,
-                this.maxAttempts
-            );
+            let result;
+            try {
+                result = await this.solverClient.solve({
+                    grid: this.grid,
+                    existingWords: setWords,
+                    blacklistedWords: this.wordManager.getBlacklistedWords(),
+                    extraWords: Array.from(this.wordManager.getCustomWords()),
+                    maxAttempts: this.maxAttempts,
+                    targetWordCount: this.targetWordCount,
+                    strategy: this.solverStrategy,
+                    maxSolutions: 1,
+                    minCommonness: this.minCommonness,
+                    theme: this.theme
+                });
+            } catch (error) {
+                console.error('Hint solve failed:', error);
+                hintText.textContent = `Solver error: ${error.message}`;
+                return;
+            }
 
-            if (this.solveCancelled) {
+            // The board may have changed while the solver ran
+            if (result.cancelled || this.hints.puzzleKey !== puzzleKey) {
+                this.updateHints();
+                return;
+            }
+            if (!result.solution || !this.solver.isCompleteSolution(result.solution, this.targetWordCount)) {
+                hintText.textContent = 'No complete solution was found, so there are no hints yet. ' +
+                    'Try more attempts, or remove found words that may be wrong.';
                 return;
             }
+            this.hints.setSolution(result.solution);
+        }
 
-            if (solution) {
-                const usedPositions = new Set();
-                for (const [word, coords] of solution) {
-                    for (const [row, col] of coords) {
-                        usedPositions.add(`${row},${col}`);
-                    }
-                }
+        const hint = this.hints.next(kind, this.wordManager.getSetWords());
+        this.updateHints();
+        if (!hint) {
+            hintText.textContent = kind === 'spangram'
+                ? 'The spangram has already been found.'
+                : 'Every theme word has already been found or revealed.';
+        }
+        this.autosave();
+    }
+
+    /**
+     * Record a solve as a review round and show its words for marking
+     * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Solver output
+     */
+    startReviewRound(solution) {
+        const covered = solution.reduce((sum, [, positions]) => sum + positions.length, 0);
+        const coverage = (covered / (this.grid.length * this.grid[0].length)) * 100;
+        const round = this.review.startRound(solution, coverage, this.solver.isCompleteSolution(solution, this.targetWordCount));
+        console.log(describeRound(round));
+        this.updateReview();
+    }
+
+    /**
+     * Keep confirmed words, blacklist rejected ones and solve again
+     */
+    async applyReviewMarks() {
+        const setWords = this.wordManager.getSetWords();
+        if (!setWords.some(([word]) => this.review.getMark(word) !== 'unsure')) {
+            alert('Mark at least one word as confirmed or rejected first.');
+            return;
+        }
+        if (this.solverClient.isBusy()) {
+            alert('The solver is already running. Cancel it first to start a new solve.');
+            return;
+        }
+
+        const round = this.review.rounds.length;
+        const { pinned, rejected } = this.review.applyMarks(setWords);
+        this.recordChange(`Review round ${round}`, () => {
+            this.wordManager.clearSetWords();
+            for (const [word, positions, isSpangram] of pinned) {
+                this.wordManager.addSetWord(word, positions, isSpangram);
+            }
+            for (const word of rejected) {
+                this.wordManager.blacklistWord(word);
+            }
+            this.clearSelection();
+            this.updateDisplay();
+        });
+        console.log(`Review round ${round}: pinned ${pinned.length} words, blacklisted ${rejected.length}`);
+        await this.attemptSolve();
+    }
 
-                const coveragePercent = (usedPositions.size / (this.grid.length * this.grid[0].length)) * 100;
+    /**
+     * Show the review list and round history in the Solver panel
+     */
+    updateReview() {
+        const panel = document.getElementById('review-panel');
+        if (!panel) return;
 
-                if (usedPositions.size === this.grid.length * this.grid[0].length) {
-                    updateProgress('COMPLETE SOLUTION FOUND!');
-                } else {
-                    updateProgress(`BEST PARTIAL SOLUTION FOUND!`);
-                    updateProgress(`Coverage: ${coveragePercent.toFixed(1)}% (${usedPositions.size}/${this.grid.length * this.grid[0].length} letters)`);
+        const active = this.review.isActive();
+        panel.hidden = !active;
+        this.wordManager.updateReviewList(active ? this.wordManager.getSetWords() : null, (word) => this.review.getMark(word));
+        this.wordManager.updateReviewHistory(this.review.rounds.map(describeRound));
+    }
+
+    /**
+     * Open the Enter Answers dialog, filled in from the play mode answer key if there is one
+     */
+    openAnswersDialog() {
+        const text = document.getElementById('answers-text');
+        if (!text.value.trim() && this.play.hasKey()) {
+            text.value = formatAnswerKey(this.play.key);
+        }
+        this.showAnswerCheck();
+        document.getElementById('answers-dialog').showModal();
+    }
+
+    /**
+     * Place the typed answers on the grid and compare them with the found words
+     */
+    checkAnswers() {
+        const summary = document.getElementById('answers-summary');
+        this.checkedAnswers = null;
+
+        let key;
+        try {
+            key = parseAnswerKey(document.getElementById('answers-text').value);
+        } catch (error) {
+            this.showAnswerCheck();
+            summary.textContent = error.message;
+            return;
+        }
+
+        this.checkedAnswers = resolveAnswerPaths(this.grid, key);
+        this.showAnswerCheck();
+        if (!this.checkedAnswers) {
+            summary.textContent = 'These answers do not fill the grid exactly once each. Check for typos or a missing word.';
+        }
+    }
+
+    /**
+     * Show the comparison of the found words with the checked answers
+     */
+    showAnswerCheck() {
+        const summary = document.getElementById('answers-summary');
+        const blacklistButton = document.getElementById('blacklist-wrong-btn');
+        if (!this.checkedAnswers) {
+            this.wordManager.updateAnswerCheckList(null);
+            summary.textContent = '';
+            blacklistButton.disabled = true;
+            return;
+        }
+
+        const comparison = compareWithAnswers(this.wordManager.getSetWords(), this.checkedAnswers);
+        this.wordManager.updateAnswerCheckList(comparison);
+        summary.textContent = `${comparison.correct.length} of ${this.checkedAnswers.length} answers correct, ` +
+            `${comparison.wrongPath.length} on the wrong path, ${comparison.wrong.length} wrong, ${comparison.missing.length} missing`;
+        blacklistButton.disabled = comparison.wrong.length === 0 && comparison.wrongPath.length === 0;
+    }
+
+    /**
+     * Blacklist and remove found words that aren't answers; answers on the wrong path are removed
+     * but stay allowed, so the next solve can place them correctly
+     */
+    blacklistWrongWords() {
+        if (!this.checkedAnswers) {
+            return;
+        }
+
+        const { wrong, wrongPath } = compareWithAnswers(this.wordManager.getSetWords(), this.checkedAnswers);
+        const indexOf = (word) => this.wordManager.getSetWords().findIndex(([w]) => w === word);
+        this.recordChange('Blacklist wrong words', () => {
+            for (const [word] of wrong) {
+                this.wordManager.blacklistAndRemoveWord(indexOf(word));
+            }
+            for (const [word] of wrongPath) {
+                this.wordManager.removeSetWord(indexOf(word));
+            }
+            this.clearSelection();
+            this.updateDisplay();
+        });
+        console.log(`Blacklisted ${wrong.length} wrong words, removed ${wrongPath.length} misplaced answers`);
+        this.showAnswerCheck();
+    }
+
+    /**
+     * Start a game from an answer key; the found words are cleared
+     * @param {string} text - Answer key, one word per line with the spangram marked *
+     */
+    startGame(text) {
+        if (!this.grid) {
+            return;
+        }
+
+        const game = new PlayGame();
+        try {
+            game.setKey(this.grid, parseAnswerKey(text));
+        } catch (error) {
+            alert(`Answer key error: ${error.message}`);
+            return;
+        }
+        if (this.wordManager.getSetWords().length > 0 &&
+            !confirm('Starting a game clears the found words. Continue?')) {
+            return;
+        }
+
+        this.play = game;
+        this.hints.setSolution(game.answers);
+        document.getElementById('answer-key-text').value = '';
+        document.getElementById('answer-key-details').open = false;
+        this.recordChange('Start game', () => {
+            this.wordManager.clearSetWords();
+            this.clearSelection();
+            this.updateDisplay();
+        });
+        this.setPlayStatus(`Game started: find ${game.answers.length} theme words.`);
+        if (this.currentMode !== 'play') {
+            this.setMode('play');
+        }
+    }
+
+    /**
+     * Clear the found words, non-theme words and hint credit, keeping the answer key
+     */
+    restartGame() {
+        if (!this.play.hasKey() || !confirm('Restart the game? Found words and hint credit are cleared.')) {
+            return;
+        }
+        this.play.restart();
+        this.hints.clearCurrent();
+        this.recordChange('Restart game', () => {
+            this.wordManager.clearSetWords();
+            this.clearSelection();
+            this.updateDisplay();
+        });
+        this.setPlayStatus('');
+    }
+
+    /**
+     * Check a word traced in play mode against the answer key
+     * @param {Array<[number, number]>} positions - Traced path
+     */
+    onPlayTrace(positions) {
+        if (!this.play.hasKey()) {
+            this.setPlayStatus('Enter an answer key to start playing.');
+            return;
+        }
+
+        const word = positions.map(([row, col]) => this.grid[row][col]).join('');
+        const isWord = (w) => this.solver ? this.solver.hasWord(w) : this.wordSet.has(w);
+        const { result, answer, message } = this.play.checkWord(word, positions, this.wordManager.getSetWords(), isWord);
+        console.log(`Play: ${word} -> ${result}`);
+
+        if (answer && (result === 'theme' || result === 'spangram')) {
+            this.recordChange(`Add ${word}`, () => {
+                this.wordManager.addSetWord(answer[0], answer[1], answer[2]);
+                this.updateDisplay();
+            });
+        } else if (result === 'bonus') {
+            this.updatePlayPanel();
+            this.autosave();
+        }
+
+        if (this.play.isSolved(this.wordManager.getSetWords())) {
+            const hints = this.play.hintsSpent;
+            this.setPlayStatus(`Solved! ${hints} hint${hints === 1 ? '' : 's'} used.`);
+        } else {
+            this.setPlayStatus(message);
+        }
+    }
+
+    /**
+     * Take a hint in play mode with credit earned from non-theme words
+     */
+    takePlayHint() {
+        if (!this.play.hasKey()) {
+            alert('Enter an answer key to start playing.');
+            return;
+        }
+        if (this.play.getHintsAvailable() < 1) {
+            const needed = this.play.getWordsToNextHint();
+            alert(`Find ${needed} more non-theme word${needed === 1 ? '' : 's'} to earn a hint.`);
+            return;
+        }
+
+        const setWords = this.wordManager.getSetWords();
+        if (!this.hints.isConsistent(setWords)) {
+            this.hints.setSolution(this.play.answers);
+        }
+        // Theme words first; the spangram is hinted once it is all that's left
+        const hint = this.hints.next('word', setWords) || this.hints.next('spangram', setWords);
+        if (!hint) {
+            return;
+        }
+        this.play.spendHint();
+        this.updateHints();
+        this.updatePlayPanel();
+        this.setPlayStatus(describeHint(hint));
+        this.autosave();
+    }
+
+    /**
+     * Show a message under the play controls
+     * @param {string} text - Message, or '' to clear
+     */
+    setPlayStatus(text) {
+        const status = document.getElementById('play-status');
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    /**
+     * Show game progress, hint credit and non-theme words in the Play panel
+     */
+    updatePlayPanel() {
+        const progress = document.getElementById('play-progress');
+        if (!progress) return;
+
+        const hintButton = document.getElementById('play-hint-btn');
+        const bonusList = document.getElementById('bonus-words');
+        if (!this.play.hasKey()) {
+            progress.textContent = 'No answer key yet.';
+            hintButton.textContent = 'Hint';
+            hintButton.disabled = true;
+            bonusList.textContent = '';
+            return;
+        }
+
+        const setWords = this.wordManager.getSetWords();
+        const found = this.play.answers.filter(([word]) => setWords.some(([w]) => w === word)).length;
+        progress.textContent = `${found} of ${this.play.answers.length} theme words found`;
+
+        const available = this.play.getHintsAvailable();
+        hintButton.textContent = available > 0 ? `Hint (${available})` : `Hint (${this.play.getWordsToNextHint()} words to go)`;
+        hintButton.disabled = false;
+        bonusList.textContent = this.play.bonusWords.length > 0
+            ? `Non-theme words: ${this.play.bonusWords.join(', ')}`
+            : '';
+    }
+
+    /**
+     * Words candidates may not use: the blacklist and the words already found
+     * @returns {Set<string>}
+     */
+    getExcludedWords() {
+        const excludedWords = new Set(this.wordManager.getBlacklistedWords());
+        for (const [word] of this.wordManager.getSetWords()) {
+            excludedWords.add(word);
+        }
+        return excludedWords;
+    }
+
+    /**
+     * Show or hide the candidate heatmap
+     * A changed board is scanned again in the worker after a short delay; the heatmap
+     * is redrawn when the scan comes back.
+     * @returns {Object|null} The board scan, or null when the heatmap is off or the scan isn't ready
+     */
+    updateHeatmap() {
+        if (!this.gridDisplay) {
+            return null;
+        }
+        if (!this.heatmapEnabled || this.currentMode !== 'solve' || !this.solver) {
+            this.gridDisplay.setHeatmap(null);
+            return null;
+        }
+
+        const key = this.getBoardScanKey();
+        if (!this.boardScan || this.boardScan.key !== key) {
+            this.requestBoardScan(HEATMAP_DELAY_MS).then(scan => {
+                if (scan) {
+                    this.updateHeatmap();
                 }
+            });
+            return null;
+        }
+        if (this.gridDisplay.heatmap !== this.boardScan.counts) {
+            this.gridDisplay.setHeatmap(this.boardScan.counts);
+        }
+        return this.boardScan;
+    }
+
+    /**
+     * Key identifying what a board scan depends on
+     * @returns {string}
+     */
+    getBoardScanKey() {
+        return JSON.stringify([this.getBoardSnapshot(), this.minCommonness]);
+    }
 
-                updateProgress(`Words: ${solution.length}`);
-                solution.forEach(([word, coords], i) => {
-                    updateProgress(`${i + 1}. ${word}`);
+    /**
+     * Get every candidate path of the free cells, scanning the board in the worker if it changed
+     * The scan is kept until the board changes and shared by the heatmap and words-through-cell search.
+     * @param {number} delay - Milliseconds to wait for further changes before scanning
+     * @returns {Promise<Object|null>} { key, candidates, cellCandidates, counts }, or null if the
+     *   board changed before the scan finished or the scan failed
+     */
+    requestBoardScan(delay = 0) {
+        const key = this.getBoardScanKey();
+        if (this.boardScan && this.boardScan.key === key) {
+            return Promise.resolve(this.boardScan);
+        }
+
+        const pending = this.boardScanRequest;
+        if (pending && pending.key === key) {
+            // Don't keep a search waiting on the heatmap's delay
+            if (delay === 0 && pending.timer !== null) {
+                clearTimeout(pending.timer);
+                pending.run();
+            }
+            return pending.promise;
+        }
+        this.dropBoardScanRequest();
+
+        const request = { key, timer: null };
+        request.promise = new Promise(resolve => {
+            request.resolve = resolve;
+        });
+        request.run = async () => {
+            request.timer = null;
+            let candidates = null;
+            try {
+                candidates = await this.solverClient.scan({
+                    grid: this.grid,
+                    usedPositions: this.wordManager.getUsedPositions(),
+                    excludedWords: this.getExcludedWords(),
+                    extraWords: Array.from(this.wordManager.getCustomWords()),
+                    minCommonness: this.minCommonness
                 });
+            } catch (error) {
+                console.error('Board scan failed:', error);
+            }
 
-                // Apply solution
-                this.wordManager.clearSetWords();
-                for (const [word, positions] of solution) {
-                    this.wordManager.addSetWord(word, positions);
-                }
-                this.updateDisplay();
+            // Dropped requests were already answered with null
+            if (this.boardScanRequest !== request) {
+                return;
+            }
+            this.boardScanRequest = null;
+            if (candidates && this.getBoardScanKey() === key) {
+                this.boardScan = {
+                    key,
+                    candidates,
+                    cellCandidates: buildCellCandidates(candidates),
+                    counts: getCellWordCounts(candidates)
+                };
+                console.log(`Board scan: ${candidates.length} candidate paths`);
+                request.resolve(this.boardScan);
             } else {
-                updateProgress('No solution found.');
-                updateProgress('Try removing some set words.');
+                request.resolve(null);
             }
-        }, 100);
+        };
+        this.boardScanRequest = request;
+        request.timer = setTimeout(request.run, delay);
+        return request.promise;
+    }
+
+    /**
+     * Answer a waiting or running board scan with null so its result is ignored
+     */
+    dropBoardScanRequest() {
+        const request = this.boardScanRequest;
+        if (request) {
+            clearTimeout(request.timer);
+            this.boardScanRequest = null;
+            request.resolve(null);
+        }
+    }
+
+    /**
+     * Forget the board scan and drop any scan still on its way
+     */
+    resetBoardScan() {
+        this.dropBoardScanRequest();
+        this.boardScan = null;
+    }
+
+    /**
+     * Find forced moves on the board from every candidate path of the free cells
+     * The candidates come from the worker's board scan, shared with the heatmap.
+     * @returns {Promise<boolean>} False if the board changed before the scan came back
+     */
+    async analyzeBoard() {
+        if (!this.solver) {
+            alert('Word list not loaded. Please wait for the word list to finish loading.');
+            return false;
+        }
+
+        const analysisKey = JSON.stringify(this.getBoardSnapshot());
+        const scan = await this.requestBoardScan();
+        if (!scan || JSON.stringify(this.getBoardSnapshot()) !== analysisKey) {
+            return false;
+        }
+        this.forcedMoves = findForcedMoves(this.grid, scan.candidates, this.wordManager.getUsedPositions());
+        this.analysisKey = analysisKey;
+        console.log(`Analysis: ${scan.candidates.length} candidate paths, ${this.forcedMoves.moves.length} forced moves`);
+        this.wordManager.updateForcedMovesList(this.forcedMoves);
+        return true;
+    }
+
+    /**
+     * Show a forced move on the grid without placing it
+     * @param {Object} move - Move from findForcedMoves
+     */
+    previewForcedMove(move) {
+        this.gridDisplay.setSelectedFoundWord(null);
+        this.gridDisplay.setSelectedCellForWords(null, null);
+        this.gridDisplay.setProposedWord(move.word, move.positions);
+    }
+
+    /**
+     * Place a forced move as a found word, then analyze the new board
+     * @param {Object} move - Move from findForcedMoves
+     */
+    async applyForcedMove(move) {
+        this.recordChange(`Add ${move.word}`, () => {
+            this.wordManager.addSetWord(move.word, move.positions, this.isNewSpangram(move.positions));
+            this.clearSelection();
+            this.updateDisplay();
+        });
+        if (await this.analyzeBoard()) {
+            document.getElementById('analysis-status').textContent = `Placed ${move.word} ${move.reason}.`;
+        }
+    }
+
+    /**
+     * Apply the first forced move, analyzing first if needed
+     */
+    async applyNextForcedMove() {
+        if (!this.forcedMoves) {
+            await this.analyzeBoard();
+        }
+        if (!this.forcedMoves) {
+            return;
+        }
+        if (this.forcedMoves.moves.length === 0) {
+            alert('There are no forced moves on this board.');
+            return;
+        }
+        this.applyForcedMove(this.forcedMoves.moves[0]);
+    }
+
+    /**
+     * Show the current hint on the grid and in the hint panel
+     */
+    updateHints() {
+        const hint = this.hints.getCurrentHint(this.wordManager.getSetWords());
+        this.gridDisplay.setHint(hint ? getHintDisplay(hint) : null);
+
+        const hintText = document.getElementById('hint-text');
+        if (hintText) {
+            hintText.textContent = hint ? describeHint(hint) : '';
+        }
+        const count = document.getElementById('hint-count');
+        if (count) {
+            count.textContent = this.hints.hintsUsed > 0 ? `(${this.hints.hintsUsed} used)` : '';
+        }
+    }
+
+    /**
+     * Replace the found words with a solution
+     * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Words to apply
+     */
+    applySolution(solution) {
+        this.recordChange('Apply solution', () => {
+            this.wordManager.clearSetWords();
+            for (const [word, positions, isSpangram] of solution) {
+                this.wordManager.addSetWord(word, positions, isSpangram);
+            }
+            this.updateDisplay();
+        });
     }
 
     cancelSolve() {
+        if (!this.solverClient.isBusy()) {
+            return;
+        }
         this.solveCancelled = true;
+        this.solverClient.cancel();
         const progressEl = document.getElementById('solve-progress');
         progressEl.textContent += 'Solve cancelled by user.\n';
     }
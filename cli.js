@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * Command-line Solver
+ * Solves a board from a text file or stdin without the browser app
+ *
+ * Usage: node cli.js [options] [grid-file]
+ * Reads stdin when no grid file (or "-") is given. Run with --help for the options.
+ *
+ * Exit codes: 0 complete solution, 1 error, 2 no complete solution found
+ */
+
+import { readFileSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Solver } from './solver.js?v=17';
+import { parseWordList, parseFrequencyTable } from './wordLoader.js?v=4';
+import { parseGridInput } from './utils.js?v=6';
+
+const APP_DIR = dirname(fileURLToPath(import.meta.url));
+
+const USAGE = `Usage: node cli.js [options] [grid-file]
+
+Solve a Strands board. The grid is read from grid-file, or from stdin when it is
+omitted or "-": one row per line, or all letters on one line (see --rows/--cols).
+
+Options:
+  --words <file>           Word list, one word per line (default: words_alpha.txt)
+  --blacklist <file>       Words the solver must not use, one per line
+  --max-attempts <n>       Search limit (default: 100000)
+  --target <n>             Exact number of words, spangram included (default: any)
+  --strategy <name>        backtracking or exact-cover (default: backtracking)
+  --enumerate              Keep searching after the first complete solution and rank all found
+  --max-solutions <n>      Stop enumerating after n complete solutions (default: no limit)
+  --rows <n>, --cols <n>   Grid size for single-line input (default: 8 x 6)
+  --json                   Print the result as JSON
+  -h, --help               Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ * @throws {Error} On unknown options or bad values
+ */
+function parseArgs(args) {
+    const options = {
+        gridFile: null,
+        wordsFile: join(APP_DIR, 'words_alpha.txt'),
+        blacklistFile: null,
+        maxAttempts: 100000,
+        targetWordCount: 0,
+        strategy: 'backtracking',
+        enumerate: false,
+        maxSolutions: Infinity,
+        rows: 8,
+        cols: 6,
+        json: false,
+        help: false
+    };
+
+    const integer = (name, value, min) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min) {
+            throw new Error(`${name} needs a whole number of at least ${min}, got "${value}"`);
+        }
+        return number;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const value = () => {
+            if (i + 1 >= args.length) {
+                throw new Error(`${arg} needs a value`);
+            }
+            return args[++i];
+        };
+
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '--words':
+                options.wordsFile = value();
+                break;
+            case '--blacklist':
+                options.blacklistFile = value();
+                break;
+            case '--max-attempts':
+                options.maxAttempts = integer(arg, value(), 1);
+                break;
+            case '--target':
+                options.targetWordCount = integer(arg, value(), 0);
+                break;
+            case '--strategy':
+                options.strategy = value();
+                if (options.strategy !== 'backtracking' && options.strategy !== 'exact-cover') {
+                    throw new Error(`unknown strategy "${options.strategy}"; use backtracking or exact-cover`);
+                }
+                break;
+            case '--enumerate':
+                options.enumerate = true;
+                break;
+            case '--max-solutions':
+                options.maxSolutions = integer(arg, value(), 1);
+                options.enumerate = true;
+                break;
+            case '--rows':
+                options.rows = integer(arg, value(), 1);
+                break;
+            case '--cols':
+                options.cols = integer(arg, value(), 1);
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`unknown option ${arg}`);
+                }
+                if (options.gridFile !== null) {
+                    throw new Error('only one grid file can be given');
+                }
+                options.gridFile = arg;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Read the grid text and parse it
+ * Multi-line input sets its own size; a single line is split using rows and cols.
+ * @param {string} text - Grid text
+ * @param {number} rows - Rows for single-line input
+ * @param {number} cols - Columns for single-line input
+ * @returns {Array<Array<string>>} Grid
+ * @throws {Error} If the text is not a valid grid
+ */
+function readGrid(text, rows, cols) {
+    const lines = text.split(/\r?\n/)
+        .map(line => line.replace(/[\s,;|]/g, ''))
+        .filter(line => line);
+    if (lines.length > 1) {
+        rows = lines.length;
+        cols = lines[0].length;
+    }
+
+    const { grid, error } = parseGridInput(text, rows, cols);
+    if (error) {
+        throw new Error(error);
+    }
+    return grid;
+}
+
+/**
+ * Scan every cell for candidate words, as the solver worker does
+ * @param {Solver} solver - Solver for the grid
+ * @param {Set<string>} blacklistedWords - Words to skip
+ * @param {boolean} allPaths - Keep every path of each word (needed by exact cover)
+ * @returns {Array<[string, Array<[number, number]>, number]>} Candidate words
+ */
+function scanGrid(solver, blacklistedWords, allPaths) {
+    const allPossibleWords = [];
+    for (let row = 0; row < solver.rows; row++) {
+        for (let col = 0; col < solver.cols; col++) {
+            for (const [word, coords] of solver.findWordsDFS(row, col, new Set(), blacklistedWords, 4, 15, allPaths)) {
+                allPossibleWords.push([word, coords, coords.length]);
+            }
+        }
+    }
+    return allPossibleWords;
+}
+
+/**
+ * Format a solution as one word per line with its path
+ * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Solution words
+ * @returns {string}
+ */
+function formatSolution(solution) {
+    return solution
+        .map(([word, coords, isSpangram]) => {
+            const path = coords.map(([row, col]) => `(${row},${col})`).join(' ');
+            return `${word}${isSpangram ? ' [spangram]' : ''}  ${path}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Convert a solution to plain JSON objects
+ * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Solution words
+ * @returns {Array<{word: string, path: Array<[number, number]>, spangram: boolean}>}
+ */
+function solutionToJSON(solution) {
+    return solution.map(([word, coords, isSpangram]) => ({ word, path: coords, spangram: Boolean(isSpangram) }));
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`Error: ${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    let grid;
+    let wordSet;
+    let blacklistedWords = new Set();
+    try {
+        const gridText = options.gridFile === null || options.gridFile === '-'
+            ? readFileSync(0, 'utf8')
+            : readFileSync(options.gridFile, 'utf8');
+        grid = readGrid(gridText, options.rows, options.cols);
+        wordSet = parseWordList(readFileSync(options.wordsFile, 'utf8'));
+        if (options.blacklistFile) {
+            blacklistedWords = parseWordList(readFileSync(options.blacklistFile, 'utf8'));
+        }
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return 1;
+    }
+
+    const solver = new Solver(grid, wordSet);
+
+    // Same word ordering as the app when the frequency table is present
+    const frequencyFile = join(APP_DIR, 'word_frequencies.txt');
+    if (existsSync(frequencyFile)) {
+        solver.setWordCommonness(parseFrequencyTable(readFileSync(frequencyFile, 'utf8')));
+    }
+
+    const exactCover = options.strategy === 'exact-cover';
+    const allPossibleWords = scanGrid(solver, blacklistedWords, exactCover);
+
+    const found = [];
+    const onSolution = options.enumerate
+        ? (completeSolution) => {
+            found.push(completeSolution);
+            return found.length < options.maxSolutions;
+        }
+        : null;
+
+    let solution;
+    let exhausted = false;
+    if (exactCover) {
+        ({ solution, exhausted } = solver.solveExactCover(
+            allPossibleWords, [], null, () => false, options.maxAttempts, options.targetWordCount, onSolution
+        ));
+    } else {
+        solution = solver.solvePuzzle(
+            allPossibleWords, [], null, () => false, options.maxAttempts, options.targetWordCount, onSolution
+        );
+    }
+
+    const solutions = solver.rankSolutions(found);
+    if (solutions.length > 0) {
+        solution = solutions[0].solution;
+    }
+    solution = solution || [];
+
+    const totalCells = solver.rows * solver.cols;
+    const covered = solution.reduce((sum, [word, coords]) => sum + coords.length, 0);
+    const complete = solver.isCompleteSolution(solution, options.targetWordCount);
+
+    if (options.json) {
+        console.log(JSON.stringify({
+            grid: grid.map(row => row.join('')),
+            strategy: options.strategy,
+            candidateCount: allPossibleWords.length,
+            complete,
+            exhausted,
+            coverage: covered / totalCells,
+            solution: solutionToJSON(solution),
+            solutions: solutions.map(({ solution: ranked, score }) => ({ score, words: solutionToJSON(ranked) }))
+        }, null, 2));
+    } else {
+        console.log(`${allPossibleWords.length} candidate words`);
+        if (complete) {
+            console.log(`Complete solution (${solution.length} words):`);
+        } else if (exhausted) {
+            console.log(`No complete solution exists; best partial covers ${covered}/${totalCells} cells:`);
+        } else {
+            console.log(`No complete solution found; best partial covers ${covered}/${totalCells} cells:`);
+        }
+        if (!complete && solution.length > 0) {
+            if (!solution.some(([word, coords, isSpangram]) => isSpangram)) {
+                console.log('No spangram found.');
+            }
+            if (options.targetWordCount > 0 && solution.length !== options.targetWordCount) {
+                console.log(`Word count ${solution.length} does not match target of ${options.targetWordCount}.`);
+            }
+        }
+        if (solution.length > 0) {
+            console.log(formatSolution(solution));
+        }
+        if (solutions.length > 1) {
+            console.log(`\n${solutions.length} complete solutions found:`);
+            solutions.forEach(({ solution: ranked, score }, i) => {
+                console.log(`${i + 1}. [${score.toFixed(1)}] ${ranked.map(([word]) => word).join(' ')}`);
+            });
+        }
+    }
+
+    return complete ? 0 : 2;
+}
+
+process.exitCode = main();
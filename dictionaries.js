@@ -0,0 +1,175 @@
+/**
+ * Dictionaries Module
+ * Registry of word lists (bundled and uploaded) that can be combined into the active word set
+ */
+
+import { loadWordList, parseWordList } from './wordLoader.js?v=4';
+
+// Word lists shipped with the app, fetched on first use
+export const BUNDLED_DICTIONARIES = [
+    { id: 'alpha', name: 'Full (words_alpha)', url: 'words_alpha.txt' },
+    { id: 'common', name: 'Common English', url: 'words_common.txt' }
+];
+
+export class DictionaryRegistry {
+    constructor() {
+        this.dictionaries = new Map(); // id -> { id, name, url, words, uploaded }
+        this.active = { ids: ['alpha'], mode: 'union' };
+
+        for (const { id, name, url } of BUNDLED_DICTIONARIES) {
+            this.dictionaries.set(id, { id, name, url, words: null, uploaded: false });
+        }
+    }
+
+    /**
+     * List registered dictionaries
+     * @returns {Array<{id: string, name: string, size: number|null, uploaded: boolean}>} size is null until loaded
+     */
+    list() {
+        return Array.from(this.dictionaries.values()).map(({ id, name, words, uploaded }) => ({
+            id,
+            name,
+            size: words ? words.size : null,
+            uploaded
+        }));
+    }
+
+    /**
+     * Check if a dictionary is registered
+     * @param {string} id - Dictionary id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.dictionaries.has(id);
+    }
+
+    /**
+     * Get a dictionary's display name
+     * @param {string} id - Dictionary id
+     * @returns {string}
+     */
+    getName(id) {
+        const dictionary = this.dictionaries.get(id);
+        return dictionary ? dictionary.name : id;
+    }
+
+    /**
+     * Register an uploaded word list
+     * @param {string} name - Display name (usually the file name)
+     * @param {string} text - File contents, one word per line
+     * @returns {string} The new dictionary id
+     * @throws {Error} If the file contains no usable words
+     */
+    addUpload(name, text) {
+        const words = parseWordList(text);
+        if (words.size === 0) {
+            throw new Error('no words of 4 or more letters were found');
+        }
+
+        let id = `upload:${name}`;
+        for (let n = 2; this.dictionaries.has(id); n++) {
+            id = `upload:${name} (${n})`;
+        }
+        this.dictionaries.set(id, { id, name, url: null, words, uploaded: true });
+        return id;
+    }
+
+    /**
+     * Remove an uploaded word list
+     * @param {string} id - Dictionary id
+     * @returns {boolean} True if removed
+     */
+    removeUpload(id) {
+        const dictionary = this.dictionaries.get(id);
+        if (!dictionary || !dictionary.uploaded) return false;
+        this.dictionaries.delete(id);
+        this.active.ids = this.active.ids.filter(activeId => activeId !== id);
+        return true;
+    }
+
+    /**
+     * Get a dictionary's words, fetching bundled lists on first use
+     * @param {string} id - Dictionary id
+     * @returns {Promise<Set<string>>}
+     */
+    async load(id) {
+        const dictionary = this.dictionaries.get(id);
+        if (!dictionary) {
+            throw new Error(`unknown word list ${id}`);
+        }
+        if (!dictionary.words) {
+            dictionary.words = await loadWordList(dictionary.url);
+        }
+        return dictionary.words;
+    }
+
+    /**
+     * Combine dictionaries into one word set and make them the active selection
+     * @param {Array<string>} ids - Dictionary ids
+     * @param {string} mode - 'union' or 'intersection'
+     * @returns {Promise<Set<string>>} The combined word set
+     */
+    async combine(ids, mode = 'union') {
+        if (ids.length === 0) {
+            throw new Error('choose at least one word list');
+        }
+
+        const sets = [];
+        for (const id of ids) {
+            sets.push(await this.load(id));
+        }
+
+        let combined;
+        if (sets.length === 1) {
+            combined = sets[0];
+        } else if (mode === 'intersection') {
+            // Walk the smallest set and keep words found in all the others
+            const [smallest, ...others] = [...sets].sort((a, b) => a.size - b.size);
+            combined = new Set();
+            for (const word of smallest) {
+                if (others.every(set => set.has(word))) {
+                    combined.add(word);
+                }
+            }
+        } else {
+            combined = new Set();
+            for (const set of sets) {
+                for (const word of set) {
+                    combined.add(word);
+                }
+            }
+        }
+
+        this.active = { ids: [...ids], mode: mode === 'intersection' ? 'intersection' : 'union' };
+        return combined;
+    }
+
+    /**
+     * Get the selection used by the last combine
+     * @returns {{ids: Array<string>, mode: string}}
+     */
+    getActive() {
+        return { ids: [...this.active.ids], mode: this.active.mode };
+    }
+
+    /**
+     * Describe the active selection, e.g. "Common English ∩ my-list.txt"
+     * @returns {string}
+     */
+    describeActive() {
+        const separator = this.active.mode === 'intersection' ? ' ∩ ' : ' + ';
+        return this.active.ids.map(id => this.getName(id)).join(separator);
+    }
+
+    /**
+     * Find which active dictionaries contain a word
+     * @param {string} word - The word
+     * @returns {Array<string>} Names of the active dictionaries containing it
+     */
+    getSources(word) {
+        return this.active.ids
+            .map(id => this.dictionaries.get(id))
+            .filter(dictionary => dictionary && dictionary.words && dictionary.words.has(word))
+            .map(dictionary => dictionary.name);
+    }
+}
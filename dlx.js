@@ -0,0 +1,166 @@
+/**
+ * Dancing Links Module
+ * Knuth's Algorithm X on a sparse doubly-linked matrix, used for exact-cover solving
+ */
+
+export class DancingLinks {
+    /**
+     * Create an empty matrix
+     * Primary columns must be covered exactly once; secondary columns at most once.
+     * Columns are numbered from 0, primary columns first.
+     * @param {number} primaryCount - Number of primary columns
+     * @param {number} secondaryCount - Number of secondary columns
+     */
+    constructor(primaryCount, secondaryCount = 0) {
+        const columnCount = primaryCount + secondaryCount;
+
+        // Node 0 is the root, nodes 1..columnCount are column headers, row nodes follow
+        this.left = [];
+        this.right = [];
+        this.up = [];
+        this.down = [];
+        this.column = [];
+        this.rowOf = [];
+        this.size = new Array(columnCount + 1).fill(0);
+        this.rowCount = 0;
+        this.stopped = false;
+
+        for (let i = 0; i <= columnCount; i++) {
+            this.left.push(i - 1);
+            this.right.push(i + 1);
+            this.up.push(i);
+            this.down.push(i);
+            this.column.push(i);
+            this.rowOf.push(-1);
+        }
+
+        // Only primary headers are linked to the root; secondary headers link to themselves
+        this.left[0] = primaryCount;
+        this.right[primaryCount] = 0;
+        for (let i = primaryCount + 1; i <= columnCount; i++) {
+            this.left[i] = i;
+            this.right[i] = i;
+        }
+    }
+
+    /**
+     * Add a row covering the given columns
+     * @param {Array<number>} columns - Column numbers covered by the row
+     * @returns {number} Row index, in insertion order
+     */
+    addRow(columns) {
+        const row = this.rowCount++;
+        let first = -1;
+
+        for (const col of columns) {
+            const header = col + 1;
+            const node = this.left.length;
+
+            // Insert at the bottom of the column
+            this.column.push(header);
+            this.rowOf.push(row);
+            this.up.push(this.up[header]);
+            this.down.push(header);
+            this.down[this.up[header]] = node;
+            this.up[header] = node;
+            this.size[header]++;
+
+            // Link into the row ring
+            if (first < 0) {
+                first = node;
+                this.left.push(node);
+                this.right.push(node);
+            } else {
+                this.left.push(this.left[first]);
+                this.right.push(first);
+                this.right[this.left[first]] = node;
+                this.left[first] = node;
+            }
+        }
+
+        return row;
+    }
+
+    cover(header) {
+        this.right[this.left[header]] = this.right[header];
+        this.left[this.right[header]] = this.left[header];
+        for (let i = this.down[header]; i !== header; i = this.down[i]) {
+            for (let j = this.right[i]; j !== i; j = this.right[j]) {
+                this.down[this.up[j]] = this.down[j];
+                this.up[this.down[j]] = this.up[j];
+                this.size[this.column[j]]--;
+            }
+        }
+    }
+
+    uncover(header) {
+        for (let i = this.up[header]; i !== header; i = this.up[i]) {
+            for (let j = this.left[i]; j !== i; j = this.left[j]) {
+                this.size[this.column[j]]++;
+                this.down[this.up[j]] = j;
+                this.up[this.down[j]] = j;
+            }
+        }
+        this.right[this.left[header]] = header;
+        this.left[this.right[header]] = header;
+    }
+
+    /**
+     * Stop a running search (call from a search callback)
+     */
+    stop() {
+        this.stopped = true;
+    }
+
+    /**
+     * Search for exact covers, always branching on the primary column with the fewest rows
+     * @param {Function} onSolution - Called with the row indices of each exact cover
+     * @param {Function} onNode - Called with the current partial rows; return false to prune the branch
+     * @returns {boolean} True if the whole search space was explored without being stopped
+     */
+    search(onSolution, onNode = () => true) {
+        this.stopped = false;
+        const rows = [];
+
+        const recurse = () => {
+            if (onNode(rows) === false || this.stopped) {
+                return;
+            }
+
+            if (this.right[0] === 0) {
+                onSolution([...rows]);
+                return;
+            }
+
+            // Pick the column with the fewest remaining rows
+            let best = this.right[0];
+            for (let c = this.right[best]; c !== 0; c = this.right[c]) {
+                if (this.size[c] < this.size[best]) {
+                    best = c;
+                }
+            }
+            if (this.size[best] === 0) {
+                return;
+            }
+
+            this.cover(best);
+            for (let r = this.down[best]; r !== best && !this.stopped; r = this.down[r]) {
+                rows.push(this.rowOf[r]);
+                for (let j = this.right[r]; j !== r; j = this.right[j]) {
+                    this.cover(this.column[j]);
+                }
+
+                recurse();
+
+                for (let j = this.left[r]; j !== r; j = this.left[j]) {
+                    this.uncover(this.column[j]);
+                }
+                rows.pop();
+            }
+            this.uncover(best);
+        };
+
+        recurse();
+        return !this.stopped;
+    }
+}
@@ -4,11 +4,13 @@
  */
 
 export class GridDisplay {
-    constructor(canvasId, onCellClick, onCellEdit = null) {
+    constructor(canvasId, onCellClick, onCellEdit = null, onPaste = null, onTrace = null) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
         this.onCellClick = onCellClick;
         this.onCellEdit = onCellEdit;
+        this.onPaste = onPaste; // Receives pasted text in edit mode
+        this.onTrace = onTrace; // Receives a path traced by dragging in solve mode
         this.grid = null;
         this.rows = 0;
         this.cols = 0;
@@ -24,6 +26,13 @@ export class GridDisplay {
         this.editingCell = null;
         this.animationFrame = null; // For animated dotted lines
         this.dashOffset = 0; // Animation offset for dotted lines
+        this.tracePath = null; // Path being traced by dragging, array of [row, col]
+        this.rejectedTraceCell = null; // Last cell the trace refused (non-adjacent or reused)
+        this.suppressClick = false; // Skip the click that follows a drag
+        this.hint = null; // { cells, marked, path } shown for the current hint
+        this.playMode = false; // Color found words like the NYT game: theme words blue, the spangram yellow
+        this.heatmap = null; // "row,col" -> candidate word count, shaded on free cells when set
+        this.heatmapMax = 0; // Highest count in the heatmap
         
         this.setupCanvas();
         this.startAnimation();
@@ -66,8 +75,25 @@ export class GridDisplay {
         console.log('Edit mode set to:', this.editMode);
     }
 
+    /**
+     * Switch play mode coloring on or off
+     * @param {boolean} enabled - True in play mode
+     */
+    setPlayMode(enabled) {
+        this.playMode = enabled;
+        if (this.grid) {
+            this.render();
+        }
+    }
+
     setupCanvas() {
         this.canvas.addEventListener('click', (e) => {
+            // A drag already handled this pointer
+            if (this.suppressClick) {
+                this.suppressClick = false;
+                return;
+            }
+
             const rect = this.canvas.getBoundingClientRect();
             const x = e.clientX - rect.left;
             const y = e.clientY - rect.top;
@@ -96,12 +122,76 @@ export class GridDisplay {
             // Blank space clicks are ignored - words can be deselected by clicking them again
         });
         
+        // Drag to trace a word (mouse and touch) - only in solve mode
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (this.editMode || !this.onTrace) {
+                return;
+            }
+            const cell = this.getCellFromEvent(e, false);
+            if (!cell || this.usedPositions.has(`${cell.row},${cell.col}`)) {
+                return;
+            }
+            this.tracePath = [[cell.row, cell.col]];
+            this.rejectedTraceCell = null;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.render();
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.tracePath) {
+                return;
+            }
+            // Only count a cell once the pointer is near its centre, so diagonal drags don't clip neighbours
+            const cell = this.getCellFromEvent(e, true);
+            if (cell) {
+                this.extendTrace(cell.row, cell.col);
+            }
+        });
+
+        this.canvas.addEventListener('pointerup', () => {
+            if (!this.tracePath) {
+                return;
+            }
+            const path = this.tracePath;
+            this.tracePath = null;
+            this.rejectedTraceCell = null;
+            if (path.length > 1) {
+                // A drag, not a click
+                this.suppressClick = true;
+                this.onTrace(path);
+            }
+            this.render();
+        });
+
+        this.canvas.addEventListener('pointercancel', () => {
+            this.tracePath = null;
+            this.rejectedTraceCell = null;
+            this.render();
+        });
+
+        // Handle clipboard paste on the canvas - only in edit mode
+        this.canvas.addEventListener('paste', (e) => {
+            if (!this.editMode || !this.onPaste) {
+                return;
+            }
+            e.preventDefault();
+            this.onPaste(e.clipboardData.getData('text'));
+        });
+
         // Handle keyboard input for editing - only in edit mode
         document.addEventListener('keydown', (e) => {
             // Only allow editing if we're in edit mode
             if (!this.editMode) {
                 return;
             }
+
+            // Leave typing in form fields and shortcuts (e.g. Ctrl+Z) alone
+            if (e.target.closest && e.target.closest('input, textarea, select')) {
+                return;
+            }
+            if (e.ctrlKey || e.metaKey || e.altKey) {
+                return;
+            }
             
             if (this.editingCell && /^[a-zA-Z]$/.test(e.key)) {
                 e.preventDefault();
@@ -139,6 +229,7 @@ export class GridDisplay {
         }
         
         if (this.grid && row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            const previous = this.grid[row][col];
             if (letter && /^[A-Z]$/.test(letter)) {
                 this.grid[row][col] = letter;
                 
@@ -148,7 +239,7 @@ export class GridDisplay {
                 this.grid[row][col] = 'A'; // Default to A if cleared
             }
             if (this.onCellEdit) {
-                this.onCellEdit(this.grid);
+                this.onCellEdit(this.grid, { row, col, previous, letter: this.grid[row][col] });
             }
             this.render();
         }
@@ -198,6 +289,60 @@ export class GridDisplay {
         return null;
     }
 
+    /**
+     * Find the cell under a pointer event
+     * @param {PointerEvent} e - The event
+     * @param {boolean} nearCenter - Require the pointer to be within the inner part of the circle
+     * @returns {{row: number, col: number}|null}
+     */
+    getCellFromEvent(e, nearCenter) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const cell = this.getCellFromPosition(x, y);
+        if (!cell || !nearCenter) {
+            return cell;
+        }
+        const center = this.getCellPosition(cell.row, cell.col);
+        const distance = Math.hypot(x - center.x, y - center.y);
+        return distance <= this.cellSize * 0.35 ? cell : null;
+    }
+
+    /**
+     * Add a cell to the traced path, or step back if it is the previous cell
+     * Cells that aren't adjacent, are already in the path or belong to a found word are refused.
+     * @param {number} row - Row of the cell under the pointer
+     * @param {number} col - Column of the cell under the pointer
+     */
+    extendTrace(row, col) {
+        const path = this.tracePath;
+        const [lastRow, lastCol] = path[path.length - 1];
+        if (row === lastRow && col === lastCol) {
+            return;
+        }
+
+        // Dragging back onto the previous cell undoes the last step
+        if (path.length > 1) {
+            const [prevRow, prevCol] = path[path.length - 2];
+            if (row === prevRow && col === prevCol) {
+                path.pop();
+                this.rejectedTraceCell = null;
+                this.render();
+                return;
+            }
+        }
+
+        const isAdjacent = Math.abs(row - lastRow) <= 1 && Math.abs(col - lastCol) <= 1;
+        const isReused = path.some(p => p[0] === row && p[1] === col);
+        if (!isAdjacent || isReused || this.usedPositions.has(`${row},${col}`)) {
+            this.rejectedTraceCell = { row, col };
+        } else {
+            path.push([row, col]);
+            this.rejectedTraceCell = null;
+        }
+        this.render();
+    }
+
     getCellPosition(row, col) {
         const x = this.padding + col * (this.cellSize + this.padding) + this.cellSize / 2;
         const y = this.padding + row * (this.cellSize + this.padding) + this.cellSize / 2;
@@ -225,6 +370,43 @@ export class GridDisplay {
         this.render();
     }
     
+    /**
+     * Show a hint on the grid
+     * @param {{cells: Array, marked: Array, path: Array|null}|null} hint - Cells to highlight, cells to mark
+     *   more strongly and the path of a revealed word, or null to clear
+     */
+    setHint(hint) {
+        this.hint = hint;
+        this.render();
+    }
+
+    /**
+     * Shade free cells by how many candidate words cover them
+     * @param {Map<string, number>|null} heatmap - "row,col" -> word count, or null to turn the heatmap off
+     */
+    setHeatmap(heatmap) {
+        this.heatmap = heatmap;
+        this.heatmapMax = heatmap ? Math.max(0, ...heatmap.values()) : 0;
+        this.render();
+    }
+
+    /**
+     * Heatmap color for a count: red when no word fits, orange for few words fading to cream for many
+     * @param {number} count - Candidate words covering the cell
+     * @returns {string} CSS color
+     */
+    getHeatColor(count) {
+        if (count === 0) {
+            return '#fca5a5'; // light red
+        }
+        // Log scale so the handful of low counts stand out from the crowd
+        const t = Math.min(1, Math.log(count) / Math.log(Math.max(this.heatmapMax, 2)));
+        const hot = [251, 146, 60]; // orange
+        const cool = [255, 247, 237]; // cream
+        const [r, g, b] = hot.map((value, i) => Math.round(value + (cool[i] - value) * t));
+        return `rgb(${r}, ${g}, ${b})`;
+    }
+
     setSelectedCellForWords(row, col) {
         this.selectedCellForWords = row !== null && col !== null ? { row, col } : null;
         this.render();
@@ -250,8 +432,9 @@ export class GridDisplay {
         if (!this.editMode) {
             // Draw connecting lines FIRST (so they appear behind the circles)
             for (let i = 0; i < this.setWords.length; i++) {
-                const [word, positions] = this.setWords[i];
-                const color = i === this.selectedSetWordIndex ? '#db9e00' : '#3f9ebc'; // strands-dark-yellow or strands-dark-mint
+                const [word, positions, isSpangram] = this.setWords[i];
+                const highlighted = i === this.selectedSetWordIndex || (this.playMode && isSpangram);
+                const color = highlighted ? '#db9e00' : '#3f9ebc'; // strands-dark-yellow or strands-dark-mint
                 this.drawWordLines(positions, color, 8, false); // solid lines
             }
 
@@ -265,6 +448,16 @@ export class GridDisplay {
             if (this.selectedFoundWordPositions) {
                 this.drawWordLines(this.selectedFoundWordPositions, '#db9e00', 8, false); // strands-dark-yellow, solid
             }
+
+            // Draw the path of a word revealed by a hint
+            if (this.hint && this.hint.path) {
+                this.drawWordLines(this.hint.path, '#8b5cf6', 8, true); // violet, dotted
+            }
+
+            // Draw the path being traced
+            if (this.tracePath && this.tracePath.length > 1) {
+                this.drawWordLines(this.tracePath, '#0f7ea0', 8, false); // strands-darker-mint, solid
+            }
         }
 
         // Draw grid cells (on top of lines)
@@ -292,6 +485,12 @@ export class GridDisplay {
             borderColor = '#0f7ea0'; // strands-darker-mint
             borderWidth = 2.5;
         }
+        // Check if in the path being traced
+        else if (!this.editMode && this.tracePath && this.tracePath.some(p => p[0] === row && p[1] === col)) {
+            bgColor = '#aedfee'; // strands-blue
+            borderColor = '#0f7ea0'; // strands-darker-mint
+            borderWidth = 2.5;
+        }
         // Check if this is the selected cell for showing possible words (green highlight)
         else if (!this.editMode && this.selectedCellForWords && this.selectedCellForWords.row === row && this.selectedCellForWords.col === col) {
             bgColor = '#22c55e'; // Green for selected cell
@@ -327,11 +526,11 @@ export class GridDisplay {
         // Check if in set word
         else {
             for (let i = 0; i < this.setWords.length; i++) {
-                const [word, positions] = this.setWords[i];
+                const [word, positions, isSpangram] = this.setWords[i];
                 const inWord = positions.some(p => p[0] === row && p[1] === col);
                 if (inWord) {
-                    if (i === this.selectedSetWordIndex) {
-                        bgColor = '#f8cd05'; // strands-yellow for selected
+                    if (i === this.selectedSetWordIndex || (this.playMode && isSpangram)) {
+                        bgColor = '#f8cd05'; // strands-yellow for selected (or the spangram in play mode)
                         borderColor = '#db9e00';
                         borderWidth = 2.5;
                     } else {
@@ -344,12 +543,38 @@ export class GridDisplay {
             }
         }
 
+        // Hinted cells, with marked letters (first letter or spangram endpoints) stronger
+        if (!this.editMode && this.hint && bgColor === '#ffffff') {
+            if (this.hint.marked.some(p => p[0] === row && p[1] === col)) {
+                bgColor = '#c4b5fd'; // violet
+                borderColor = '#7c3aed';
+                borderWidth = 2.5;
+            } else if (this.hint.cells.some(p => p[0] === row && p[1] === col)) {
+                bgColor = '#ede9fe'; // light violet
+                borderColor = '#8b5cf6';
+                borderWidth = 2;
+            }
+        }
+
+        // Candidate heatmap on the free cells
+        let heatCount = null;
+        if (!this.editMode && this.heatmap && bgColor === '#ffffff' && !this.usedPositions.has(posKey)) {
+            heatCount = this.heatmap.get(posKey) || 0;
+            bgColor = this.getHeatColor(heatCount);
+        }
+
         // Check if used (but not in a word) - keep white background
         if (bgColor === '#ffffff' && this.usedPositions.has(posKey)) {
             bgColor = '#f5f5f5';
             textColor = '#727272';
         }
 
+        // Outline a cell the trace just refused in red
+        if (this.rejectedTraceCell && this.rejectedTraceCell.row === row && this.rejectedTraceCell.col === col) {
+            borderColor = '#ef4444';
+            borderWidth = 2.5;
+        }
+
         // Draw circular cell background
         this.ctx.beginPath();
         this.ctx.arc(x, y, radius - 1, 0, Math.PI * 2);
@@ -392,6 +617,13 @@ export class GridDisplay {
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText(this.grid[row][col], x, y);
+
+        // Heatmap count under the letter
+        if (heatCount !== null) {
+            this.ctx.fillStyle = '#7c2d12';
+            this.ctx.font = `${this.cellSize * 0.2}px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif`;
+            this.ctx.fillText(String(heatCount), x, y + radius * 0.65);
+        }
     }
 
     drawWordLines(positions, color, width, dotted = false) {
@@ -0,0 +1,189 @@
+/**
+ * Hints Module
+ * Progressive hints revealed one step at a time from a solver solution
+ */
+
+// Steps of each hint kind, in the order they are revealed
+export const HINT_STEPS = {
+    word: ['cells', 'first-letter', 'word'],
+    spangram: ['endpoints', 'cells', 'first-letter', 'word']
+};
+
+/**
+ * Key identifying a puzzle by its letters
+ * @param {Array<Array<string>>} grid - 2D array of letters
+ * @returns {string}
+ */
+export function getPuzzleKey(grid) {
+    return grid.map(row => row.join('')).join('/');
+}
+
+/**
+ * Key identifying a word on the grid by its letters and cells
+ * @param {string} word - The word
+ * @param {Array<[number, number]>} positions - Word path
+ * @returns {string}
+ */
+function wordKey(word, positions) {
+    const cells = positions.map(([row, col]) => `${row},${col}`).sort().join(' ');
+    return `${word}@${cells}`;
+}
+
+export class HintTracker {
+    constructor() {
+        this.puzzleKey = null; // Grid letters the solution and hint count belong to
+        this.solution = null; // Complete solution used as the answer key
+        this.current = null; // { kind, word, positions, step } hint being revealed
+        this.hintsUsed = 0; // Hint steps taken on this puzzle
+    }
+
+    /**
+     * Switch to a puzzle; a different grid drops the solution and restarts the count
+     * @param {Array<Array<string>>} grid - 2D array of letters
+     * @param {number} hintsUsed - Count to restore when switching puzzles
+     * @returns {boolean} True if the puzzle changed
+     */
+    setPuzzle(grid, hintsUsed = 0) {
+        const key = getPuzzleKey(grid);
+        if (key === this.puzzleKey) {
+            return false;
+        }
+        this.puzzleKey = key;
+        this.solution = null;
+        this.current = null;
+        this.hintsUsed = hintsUsed;
+        return true;
+    }
+
+    /**
+     * Set the complete solution hints are taken from
+     * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Complete solver solution
+     */
+    setSolution(solution) {
+        this.solution = solution.map(([word, positions, isSpangram = false]) => [word, positions, isSpangram]);
+        this.current = null;
+    }
+
+    hasSolution() {
+        return this.solution !== null;
+    }
+
+    /**
+     * Check that every found word is part of the solution (same word on the same cells)
+     * A found word outside the solution means the answer key no longer fits the board.
+     * @param {Array<[string, Array<[number, number]>, boolean]>} setWords - Found words
+     * @returns {boolean}
+     */
+    isConsistent(setWords) {
+        if (!this.solution) return false;
+        const keys = new Set(this.solution.map(([word, positions]) => wordKey(word, positions)));
+        return setWords.every(([word, positions]) => keys.has(wordKey(word, positions)));
+    }
+
+    /**
+     * Take the next hint step
+     * Repeating a kind reveals more of the same word until it is shown in full,
+     * then moves on to the next word that hasn't been found.
+     * @param {string} kind - 'word' for a theme word or 'spangram'
+     * @param {Array<[string, Array<[number, number]>, boolean]>} setWords - Found words
+     * @returns {Object|null} The hint, or null if every word of that kind is found
+     */
+    next(kind, setWords) {
+        if (!this.solution) return null;
+
+        const found = new Set(setWords.map(([word]) => word));
+        const steps = HINT_STEPS[kind];
+        const current = this.current;
+        if (current && current.kind === kind && !found.has(current.word) && current.step < steps.length - 1) {
+            current.step++;
+            this.hintsUsed++;
+            return current;
+        }
+
+        // Start on the next word, skipping one already revealed in full
+        const revealed = current && current.step === HINT_STEPS[current.kind].length - 1 ? current.word : null;
+        const target = this.solution.find(([word, positions, isSpangram]) =>
+            isSpangram === (kind === 'spangram') && !found.has(word) && word !== revealed);
+        if (!target) {
+            return null;
+        }
+
+        this.current = { kind, word: target[0], positions: target[1], step: 0 };
+        this.hintsUsed++;
+        return this.current;
+    }
+
+    /**
+     * Get the hint still worth showing
+     * @param {Array<[string, Array<[number, number]>, boolean]>} setWords - Found words
+     * @returns {Object|null} The current hint, or null once its word is found
+     */
+    getCurrentHint(setWords) {
+        if (!this.current || setWords.some(([word]) => word === this.current.word)) {
+            return null;
+        }
+        return this.current;
+    }
+
+    /**
+     * Clear the current hint (the count is kept)
+     */
+    clearCurrent() {
+        this.current = null;
+    }
+}
+
+/**
+ * Get the step name of a hint
+ * @param {Object} hint - Hint from HintTracker.next
+ * @returns {string} One of the HINT_STEPS names
+ */
+export function getHintStep(hint) {
+    return HINT_STEPS[hint.kind][hint.step];
+}
+
+/**
+ * Work out what the grid shows for a hint; earlier steps stay visible
+ * @param {Object} hint - Hint from HintTracker.next
+ * @returns {{cells: Array<[number, number]>, marked: Array<[number, number]>, path: Array<[number, number]>|null}}
+ *   cells are highlighted, marked cells get a stronger highlight, path is drawn when the word is revealed
+ */
+export function getHintDisplay(hint) {
+    const steps = HINT_STEPS[hint.kind];
+    const reached = (name) => hint.step >= steps.indexOf(name);
+    const { positions } = hint;
+
+    // Spangram endpoints stay marked until the first letter tells them apart
+    let marked = [];
+    if (reached('first-letter')) {
+        marked = [positions[0]];
+    } else if (hint.kind === 'spangram') {
+        marked = [positions[0], positions[positions.length - 1]];
+    }
+
+    return {
+        cells: reached('cells') ? positions : [],
+        marked,
+        path: reached('word') ? positions : null
+    };
+}
+
+/**
+ * Describe a hint for the hint panel
+ * @param {Object} hint - Hint from HintTracker.next
+ * @returns {string}
+ */
+export function describeHint(hint) {
+    const name = hint.kind === 'spangram' ? 'The spangram' : 'A theme word';
+    const first = hint.word[0];
+    switch (getHintStep(hint)) {
+        case 'endpoints':
+            return 'The spangram runs between the two marked letters.';
+        case 'cells':
+            return `${name} uses the ${hint.positions.length} highlighted letters.`;
+        case 'first-letter':
+            return `${name} uses the highlighted letters and starts with ${first}.`;
+        default:
+            return `${name} is ${hint.word}.`;
+    }
+}
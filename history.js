@@ -0,0 +1,96 @@
+/**
+ * History Module
+ * Undo/redo stacks of reversible commands
+ */
+
+export class CommandHistory {
+    /**
+     * @param {number} limit - Maximum number of commands kept for undo
+     * @param {Function} onChange - Called after any change to the stacks
+     */
+    constructor(limit = 100, onChange = null) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a command that has already been carried out
+     * @param {{label: string, undo: Function, redo: Function}} command - Reversible command
+     */
+    push(command) {
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        // A new change makes the undone commands unreachable
+        this.redoStack = [];
+        this.notify();
+    }
+
+    /**
+     * Undo the most recent command
+     * @returns {Object|null} The undone command or null if there was nothing to undo
+     */
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return null;
+        command.undo();
+        this.redoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    /**
+     * Redo the most recently undone command
+     * @returns {Object|null} The redone command or null if there was nothing to redo
+     */
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+        command.redo();
+        this.undoStack.push(command);
+        this.notify();
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Label of the command undo would revert
+     * @returns {string|null}
+     */
+    getUndoLabel() {
+        return this.canUndo() ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    /**
+     * Label of the command redo would reapply
+     * @returns {string|null}
+     */
+    getRedoLabel() {
+        return this.canRedo() ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+
+    /**
+     * Forget all commands
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notify();
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Review Module
+ * Rounds of solve, mark each word, re-solve: confirmed words are pinned, rejected ones blacklisted
+ */
+
+// Marks a solver word can get; words start out unsure
+export const REVIEW_MARKS = ['confirmed', 'rejected', 'unsure'];
+
+export class ReviewLoop {
+    constructor() {
+        this.marks = new Map(); // word -> 'confirmed' or 'rejected' (unsure words are not stored)
+        this.rounds = []; // { round, words, coverage, complete, confirmed, rejected } per solve
+    }
+
+    /**
+     * Get a word's mark
+     * @param {string} word - The word
+     * @returns {string} One of REVIEW_MARKS
+     */
+    getMark(word) {
+        return this.marks.get(word) || 'unsure';
+    }
+
+    /**
+     * Mark a word
+     * @param {string} word - The word
+     * @param {string} mark - One of REVIEW_MARKS
+     */
+    setMark(word, mark) {
+        if (!REVIEW_MARKS.includes(mark)) {
+            throw new Error(`Unknown review mark: ${mark}`);
+        }
+        if (mark === 'unsure') {
+            this.marks.delete(word);
+        } else {
+            this.marks.set(word, mark);
+        }
+    }
+
+    /**
+     * Check if a review round is open
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.rounds.length > 0;
+    }
+
+    /**
+     * Record a solve as a new round
+     * Marks carry over, so words confirmed earlier stay confirmed.
+     * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Words the solver returned
+     * @param {number} coverage - Percent of the grid covered
+     * @param {boolean} complete - True if the solution is complete
+     * @returns {Object} The new round
+     */
+    startRound(solution, coverage, complete) {
+        const round = {
+            round: this.rounds.length + 1,
+            words: solution.map(([word]) => word),
+            coverage,
+            complete,
+            confirmed: [],
+            rejected: []
+        };
+        this.rounds.push(round);
+        return round;
+    }
+
+    /**
+     * Split the current words by their marks and close the round
+     * Rejected words are forgotten afterwards: once blacklisted they can't come back.
+     * @param {Array<[string, Array<[number, number]>, boolean]>} setWords - Current words
+     * @returns {{pinned: Array<[string, Array<[number, number]>, boolean]>, rejected: Array<string>}}
+     *   pinned are the confirmed words to keep as existing words, rejected the words to blacklist
+     */
+    applyMarks(setWords) {
+        const pinned = setWords.filter(([word]) => this.getMark(word) === 'confirmed');
+        const rejected = setWords.filter(([word]) => this.getMark(word) === 'rejected').map(([word]) => word);
+
+        const round = this.rounds[this.rounds.length - 1];
+        if (round) {
+            round.confirmed = pinned.map(([word]) => word);
+            round.rejected = rejected;
+        }
+        rejected.forEach(word => this.marks.delete(word));
+        return { pinned, rejected };
+    }
+
+    /**
+     * Forget all marks and rounds
+     */
+    reset() {
+        this.marks.clear();
+        this.rounds = [];
+    }
+}
+
+/**
+ * Describe a round for the history list
+ * @param {Object} round - Round from ReviewLoop.startRound
+ * @returns {string}
+ */
+export function describeRound(round) {
+    const result = round.complete ? 'complete' : `partial (${round.coverage.toFixed(0)}%)`;
+    const parts = [`Round ${round.round}: ${round.words.length} words, ${result}`];
+    if (round.confirmed.length > 0) {
+        parts.push(`confirmed ${round.confirmed.join(', ')}`);
+    }
+    if (round.rejected.length > 0) {
+        parts.push(`rejected ${round.rejected.join(', ')}`);
+    }
+    return parts.join('; ');
+}
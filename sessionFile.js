@@ -0,0 +1,242 @@
+/**
+ * Session File Module
+ * Versioned JSON export and validated import of a full solving session
+ */
+
+import { validateGrid, getPathError } from './utils.js?v=6';
+
+const FILE_FORMAT = 'strands-solver-session';
+const FILE_VERSION = 1;
+
+// Solver settings of a fresh session; missing or invalid saved values fall back to these
+export const DEFAULT_SOLVER_SETTINGS = {
+    maxAttempts: 100000,
+    targetWordCount: 0,
+    solverStrategy: 'backtracking',
+    maxSolutions: 1,
+    minCommonness: 0
+};
+
+/**
+ * Check saved solver settings, replacing missing or invalid values with the defaults
+ * Old or hand-edited sessions can hold null, "" or true where a number belongs.
+ * @param {Object} settings - maxAttempts, targetWordCount, solverStrategy, maxSolutions, minCommonness
+ * @returns {{maxAttempts: number, targetWordCount: number, solverStrategy: string, maxSolutions: number, minCommonness: number}}
+ */
+export function normalizeSolverSettings({ maxAttempts, targetWordCount, solverStrategy, maxSolutions, minCommonness } = {}) {
+    const defaults = DEFAULT_SOLVER_SETTINGS;
+    return {
+        maxAttempts: Number.isInteger(maxAttempts) && maxAttempts > 0 ? maxAttempts : defaults.maxAttempts,
+        targetWordCount: Number.isInteger(targetWordCount) && targetWordCount >= 0 ? targetWordCount : defaults.targetWordCount,
+        solverStrategy: solverStrategy === 'backtracking' || solverStrategy === 'exact-cover' ? solverStrategy : defaults.solverStrategy,
+        maxSolutions: Number.isInteger(maxSolutions) && maxSolutions > 0 ? maxSolutions : defaults.maxSolutions,
+        minCommonness: Number.isFinite(minCommonness) && minCommonness >= 0 && minCommonness <= 1 ? minCommonness : defaults.minCommonness
+    };
+}
+
+/**
+ * Convert [word, positions, isSpangram] tuples to file entries
+ * @param {Array<[string, Array<[number, number]>, boolean]>} words - Word tuples
+ * @returns {Array<{word: string, path: Array<[number, number]>, spangram: boolean}>}
+ */
+function wordsToEntries(words) {
+    return words.map(([word, positions, isSpangram = false]) => ({
+        word,
+        path: positions.map(([row, col]) => [row, col]),
+        spangram: isSpangram
+    }));
+}
+
+/**
+ * Validate file entries against the grid and convert them back to tuples
+ * @param {Array<Object>} entries - Word entries from the file
+ * @param {Array<Array<string>>} grid - The session grid
+ * @param {string} label - Used in error messages, e.g. "Set word"
+ * @returns {Array<[string, Array<[number, number]>, boolean]>}
+ * @throws {Error} If any entry is invalid, two words share a cell or more than one is the spangram
+ */
+function entriesToWords(entries, grid, label) {
+    if (!Array.isArray(entries)) {
+        throw new Error(`${label} list is not an array`);
+    }
+
+    const usedCells = new Map(); // "row,col" -> word
+    let spangram = null;
+    return entries.map((entry, i) => {
+        const name = `${label} ${i + 1}`;
+        if (!entry || typeof entry.word !== 'string' || !/^[A-Z]+$/.test(entry.word)) {
+            throw new Error(`${name} has no valid word`);
+        }
+
+        const pathError = getPathError(grid, entry.path, entry.word);
+        if (pathError) {
+            throw new Error(`${name} (${entry.word}): ${pathError}`);
+        }
+
+        for (const [row, col] of entry.path) {
+            const key = `${row},${col}`;
+            if (usedCells.has(key)) {
+                throw new Error(`${name} (${entry.word}) reuses cell (${row},${col}) from ${usedCells.get(key)}`);
+            }
+            usedCells.set(key, entry.word);
+        }
+
+        if (entry.spangram === true) {
+            if (spangram) {
+                throw new Error(`${name} (${entry.word}) is marked as the spangram, but ${spangram} already is`);
+            }
+            spangram = entry.word;
+        }
+
+        return [entry.word, entry.path.map(([row, col]) => [row, col]), entry.spangram === true];
+    });
+}
+
+/**
+ * Validate the play mode answer key and progress
+ * Whether the answer key fits the grid is checked when the game is restored.
+ * @param {Object|null} play - Play state from the file
+ * @returns {Object|null} { answerKey, bonusWords, hintsSpent }, or null if the session has no game
+ * @throws {Error} If the play state is malformed
+ */
+function parsePlayState(play) {
+    if (!play || !play.answerKey) {
+        return null;
+    }
+
+    const isWord = (word) => typeof word === 'string' && /^[A-Z]+$/.test(word);
+    const { words, spangram = null } = play.answerKey;
+    if (!Array.isArray(words) || words.length === 0 || !words.every(isWord)) {
+        throw new Error('answer key must be a list of uppercase words');
+    }
+    if (spangram !== null && !words.includes(spangram)) {
+        throw new Error('answer key spangram must be one of its words');
+    }
+
+    const bonusWords = play.bonusWords || [];
+    if (!Array.isArray(bonusWords) || !bonusWords.every(isWord)) {
+        throw new Error('bonusWords must be a list of uppercase words');
+    }
+    const hintsSpent = play.hintsSpent || 0;
+    if (!Number.isInteger(hintsSpent) || hintsSpent < 0) {
+        throw new Error('hintsSpent must be a whole number');
+    }
+
+    return { answerKey: { words: [...words], spangram }, bonusWords: [...bonusWords], hintsSpent };
+}
+
+/**
+ * Build the JSON text for a session
+ * @param {Object} state - Session state from StrandsApp.getSessionState
+ * @param {Object} solverOutput - { log, solutions } from the last solve
+ * @returns {string} Pretty-printed JSON
+ */
+export function serializeSessionFile(state, solverOutput = { log: '', solutions: [] }) {
+    const file = {
+        format: FILE_FORMAT,
+        version: FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        grid: state.grid.map(row => row.join('')),
+        setWords: wordsToEntries(state.setWords),
+        blacklist: [...state.blacklist],
+        customWords: [...(state.customWords || [])],
+        theme: state.theme || '',
+        hintsUsed: state.hintsUsed || 0,
+        play: state.play || null,
+        mode: state.mode,
+        settings: {
+            maxAttempts: state.maxAttempts,
+            targetWordCount: state.targetWordCount,
+            solverStrategy: state.solverStrategy,
+            maxSolutions: state.maxSolutions,
+            minCommonness: state.minCommonness
+        },
+        solverOutput: {
+            log: solverOutput.log,
+            solutions: solverOutput.solutions.map(({ solution, score }) => ({
+                score,
+                words: wordsToEntries(solution)
+            }))
+        }
+    };
+    return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Parse and validate session JSON
+ * Every path must stay on the grid, move between adjacent cells, never reuse a cell
+ * and spell its word; words in one list may not share cells.
+ * @param {string} text - File contents
+ * @returns {Object} Session state (as from getSessionState) plus solverOutput
+ * @throws {Error} Describing the first problem found
+ */
+export function parseSessionFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new Error('the file is not valid JSON');
+    }
+
+    if (!file || file.format !== FILE_FORMAT) {
+        throw new Error('the file is not a Strands Solver session');
+    }
+    if (file.version !== FILE_VERSION) {
+        throw new Error(`unsupported session version ${file.version}`);
+    }
+
+    if (!Array.isArray(file.grid) || file.grid.some(row => typeof row !== 'string')) {
+        throw new Error('grid must be a list of rows');
+    }
+    const grid = file.grid.map(row => row.toUpperCase().split(''));
+    if (!validateGrid(grid)) {
+        throw new Error('grid rows must all be the same length and contain only letters');
+    }
+
+    const setWords = entriesToWords(file.setWords || [], grid, 'Set word');
+
+    const blacklist = file.blacklist || [];
+    if (!Array.isArray(blacklist) || blacklist.some(word => typeof word !== 'string' || !/^[A-Z]+$/.test(word))) {
+        throw new Error('blacklist must be a list of uppercase words');
+    }
+
+    const customWords = file.customWords || [];
+    if (!Array.isArray(customWords) || customWords.some(word => typeof word !== 'string' || !/^[A-Z]+$/.test(word))) {
+        throw new Error('customWords must be a list of uppercase words');
+    }
+
+    const theme = file.theme || '';
+    if (typeof theme !== 'string') {
+        throw new Error('theme must be text');
+    }
+
+    const hintsUsed = file.hintsUsed || 0;
+    if (!Number.isInteger(hintsUsed) || hintsUsed < 0) {
+        throw new Error('hintsUsed must be a whole number');
+    }
+
+    const play = parsePlayState(file.play);
+
+    const settings = file.settings || {};
+    const output = file.solverOutput || {};
+    const solutions = (output.solutions || []).map((entry, i) => ({
+        score: typeof entry.score === 'number' ? entry.score : 0,
+        solution: entriesToWords(entry.words, grid, `Solution ${i + 1} word`)
+    }));
+
+    return {
+        grid,
+        setWords,
+        blacklist,
+        customWords,
+        theme,
+        hintsUsed,
+        play,
+        mode: file.mode,
+        ...normalizeSolverSettings(settings),
+        solverOutput: {
+            log: typeof output.log === 'string' ? output.log : '',
+            solutions
+        }
+    };
+}
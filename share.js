@@ -0,0 +1,177 @@
+/**
+ * Share Module
+ * Encodes a puzzle into a compact URL hash and decodes it back
+ *
+ * Format: #v=1&g=8x6.LETTERS&w=PATH,PATH!&b=WORD,WORD
+ *   g - grid size and its letters, row by row
+ *   w - set words as cell paths; each cell is its row-major index written with
+ *       CELL_ALPHABET (one character for grids up to 64 cells, two above that).
+ *       A trailing "!" marks the spangram. Words are read back from the grid.
+ *   b - blacklisted words (optional)
+ */
+
+import { validateGrid, validateGridSize, getPathError } from './utils.js?v=6';
+
+const SHARE_VERSION = '1';
+const CELL_ALPHABET = '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ-_';
+
+/**
+ * Characters used per cell for a grid of the given size
+ * @param {number} cellCount - rows * cols
+ * @returns {number}
+ */
+function cellWidth(cellCount) {
+    return cellCount <= CELL_ALPHABET.length ? 1 : 2;
+}
+
+function encodeCell(index, width) {
+    let code = '';
+    for (let i = 0; i < width; i++) {
+        code = CELL_ALPHABET[index % CELL_ALPHABET.length] + code;
+        index = Math.floor(index / CELL_ALPHABET.length);
+    }
+    return code;
+}
+
+function decodeCell(code) {
+    let index = 0;
+    for (const char of code) {
+        const digit = CELL_ALPHABET.indexOf(char);
+        if (digit < 0) return -1;
+        index = index * CELL_ALPHABET.length + digit;
+    }
+    return index;
+}
+
+/**
+ * Encode a puzzle as a URL hash
+ * @param {Object} puzzle - { grid, setWords, blacklist } (blacklist optional)
+ * @returns {string} Hash starting with "#"
+ */
+export function encodeShareHash({ grid, setWords = [], blacklist = null }) {
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const width = cellWidth(rows * cols);
+
+    const parts = [
+        `v=${SHARE_VERSION}`,
+        `g=${rows}x${cols}.${grid.map(row => row.join('')).join('')}`
+    ];
+
+    if (setWords.length > 0) {
+        const paths = setWords.map(([word, positions, isSpangram]) =>
+            positions.map(([row, col]) => encodeCell(row * cols + col, width)).join('') + (isSpangram ? '!' : '')
+        );
+        parts.push(`w=${paths.join(',')}`);
+    }
+
+    if (blacklist && blacklist.length > 0) {
+        parts.push(`b=${blacklist.join(',')}`);
+    }
+
+    return `#${parts.join('&')}`;
+}
+
+/**
+ * Decode a URL hash back into a puzzle
+ * @param {string} hash - Hash from encodeShareHash (with or without "#")
+ * @returns {{grid: Array<Array<string>>, setWords: Array, blacklist: Array<string>|null}}
+ * @throws {Error} Describing what is wrong with an invalid or truncated hash
+ */
+export function decodeShareHash(hash) {
+    const params = new Map();
+    for (const part of hash.replace(/^#/, '').split('&')) {
+        if (!part) continue;
+        const separator = part.indexOf('=');
+        if (separator < 0) {
+            throw new Error(`"${part}" is not a key=value pair`);
+        }
+        try {
+            params.set(part.slice(0, separator), decodeURIComponent(part.slice(separator + 1)));
+        } catch (error) {
+            throw new Error(`"${part}" is not properly encoded`);
+        }
+    }
+
+    if (params.get('v') !== SHARE_VERSION) {
+        throw new Error(params.has('v') ? `unsupported version "${params.get('v')}"` : 'missing version');
+    }
+
+    // Grid
+    const gridMatch = /^(\d+)x(\d+)\.([A-Za-z]*)$/.exec(params.get('g') || '');
+    if (!gridMatch) {
+        throw new Error('missing or malformed grid');
+    }
+    const rows = parseInt(gridMatch[1], 10);
+    const cols = parseInt(gridMatch[2], 10);
+    const letters = gridMatch[3].toUpperCase();
+    if (!validateGridSize(rows, cols)) {
+        throw new Error(`grid size ${rows}x${cols} is not supported`);
+    }
+    if (letters.length !== rows * cols) {
+        throw new Error(`grid is truncated: expected ${rows * cols} letters, got ${letters.length}`);
+    }
+    const grid = [];
+    for (let r = 0; r < rows; r++) {
+        grid.push(letters.slice(r * cols, (r + 1) * cols).split(''));
+    }
+    if (!validateGrid(grid)) {
+        throw new Error('grid is not valid');
+    }
+
+    // Set words
+    const width = cellWidth(rows * cols);
+    const setWords = [];
+    const usedCells = new Map(); // "row,col" -> word number
+    let spangramNumber = 0;
+    const paths = params.has('w') ? params.get('w').split(',') : [];
+    paths.forEach((path, i) => {
+        const isSpangram = path.endsWith('!');
+        if (isSpangram && spangramNumber > 0) {
+            throw new Error(`words ${spangramNumber} and ${i + 1} are both marked as the spangram`);
+        }
+        if (isSpangram) {
+            spangramNumber = i + 1;
+        }
+        const cells = isSpangram ? path.slice(0, -1) : path;
+        if (cells.length === 0 || cells.length % width !== 0) {
+            throw new Error(`word ${i + 1} has a truncated path`);
+        }
+
+        const positions = [];
+        for (let j = 0; j < cells.length; j += width) {
+            const index = decodeCell(cells.slice(j, j + width));
+            if (index < 0 || index >= rows * cols) {
+                throw new Error(`word ${i + 1} has an invalid cell "${cells.slice(j, j + width)}"`);
+            }
+            positions.push([Math.floor(index / cols), index % cols]);
+        }
+
+        const pathError = getPathError(grid, positions);
+        if (pathError) {
+            throw new Error(`word ${i + 1}: ${pathError}`);
+        }
+        for (const [row, col] of positions) {
+            const key = `${row},${col}`;
+            if (usedCells.has(key)) {
+                throw new Error(`words ${usedCells.get(key)} and ${i + 1} both use cell (${row},${col})`);
+            }
+            usedCells.set(key, i + 1);
+        }
+
+        const word = positions.map(([row, col]) => grid[row][col]).join('');
+        setWords.push([word, positions, isSpangram]);
+    });
+
+    // Blacklist
+    let blacklist = null;
+    if (params.has('b')) {
+        blacklist = params.get('b').split(',').filter(word => word).map(word => word.toUpperCase());
+        const invalid = blacklist.find(word => !/^[A-Z]+$/.test(word));
+        if (invalid) {
+            throw new Error(`blacklisted word "${invalid}" is not valid`);
+        }
+    }
+
+    return { grid, setWords, blacklist };
+}
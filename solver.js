@@ -1,12 +1,23 @@
 /**
  * Solver Module
- * Contains word finding (DFS) and puzzle solving (backtracking) algorithms
+ * Contains word finding (DFS) and puzzle solving (backtracking and exact cover) algorithms
  */
 
+import { DancingLinks } from './dlx.js?v=1';
+
+// Priority points per unit of commonness; 5000 lets a common word outrank one up to 5 letters longer
+const COMMONNESS_WEIGHT = 5000;
+// Priority points per unit of theme relatedness (a soft preference, like commonness)
+const THEME_WEIGHT = 10000;
+
 export class Solver {
     constructor(grid, wordSet) {
         this.grid = grid;
         this.wordSet = wordSet || new Set();
+        this.extraWords = new Set(); // User whitelist merged into the word list
+        this.wordCommonness = new Map(); // word -> commonness score from 0 (obscure) to 1 (common)
+        this.themeScorer = null; // word -> relatedness to the puzzle theme from 0 to 1
+        this.spangramWord = null; // Named spangram from an answer key; null to go by edges alone
         this.prefixTree = this.buildPrefixTree(this.wordSet);
         this.rows = grid.length;
         this.cols = grid[0].length;
@@ -15,6 +26,30 @@ export class Solver {
     setWordSet(wordSet) {
         this.wordSet = wordSet;
         this.prefixTree = this.buildPrefixTree(wordSet);
+        for (const word of this.extraWords) {
+            this.insertIntoPrefixTree(this.prefixTree, word);
+        }
+    }
+
+    /**
+     * Set the user whitelist of extra words
+     * Words dropped from the whitelist may leave prefixes in the tree; hasWord still rejects them.
+     * @param {Iterable<string>} words - Extra words (uppercase)
+     */
+    setExtraWords(words) {
+        this.extraWords = new Set(words);
+        for (const word of this.extraWords) {
+            this.insertIntoPrefixTree(this.prefixTree, word);
+        }
+    }
+
+    /**
+     * Check if a word is in the word list or the whitelist
+     * @param {string} word - The word
+     * @returns {boolean}
+     */
+    hasWord(word) {
+        return this.wordSet.has(word) || this.extraWords.has(word);
     }
 
     setGrid(grid) {
@@ -23,21 +58,73 @@ export class Solver {
         this.cols = grid[0].length;
     }
 
+    /**
+     * Set word commonness scores used to rank solutions
+     * @param {Map<string, number>} commonness - word -> score from 0 (obscure) to 1 (common)
+     */
+    setWordCommonness(commonness) {
+        this.wordCommonness = commonness;
+    }
+
+    /**
+     * Get the commonness score of a word
+     * @param {string} word - The word
+     * @returns {number} Score from 0 (obscure or unknown) to 1 (common)
+     */
+    getCommonness(word) {
+        return this.wordCommonness.get(word) || 0;
+    }
+
+    /**
+     * Set the theme relatedness scorer used to order candidate words
+     * @param {Function|null} scorer - scorer(word) returning 0 (unrelated) to 1, or null for no theme
+     */
+    setThemeScorer(scorer) {
+        this.themeScorer = scorer;
+    }
+
+    /**
+     * Get a word's relatedness to the puzzle theme
+     * @param {string} word - The word
+     * @returns {number} Score from 0 (unrelated or no theme) to 1
+     */
+    getThemeScore(word) {
+        return this.themeScorer ? this.themeScorer(word) : 0;
+    }
+
+    /**
+     * Check a word against a minimum commonness
+     * Whitelisted words always pass, and so does everything when no frequency table is loaded.
+     * @param {string} word - The word
+     * @param {number} minCommonness - Minimum score from 0 to 1
+     * @returns {boolean}
+     */
+    meetsCommonness(word, minCommonness) {
+        return minCommonness <= 0 ||
+            this.wordCommonness.size === 0 ||
+            this.extraWords.has(word) ||
+            this.getCommonness(word) >= minCommonness;
+    }
+
     buildPrefixTree(wordSet) {
         const trie = {};
         for (const word of wordSet) {
-            let current = trie;
-            for (const letter of word) {
-                if (!current[letter]) {
-                    current[letter] = {};
-                }
-                current = current[letter];
-            }
-            current['$'] = true; // Mark end of word
+            this.insertIntoPrefixTree(trie, word);
         }
         return trie;
     }
 
+    insertIntoPrefixTree(trie, word) {
+        let current = trie;
+        for (const letter of word) {
+            if (!current[letter]) {
+                current[letter] = {};
+            }
+            current = current[letter];
+        }
+        current['$'] = true; // Mark end of word
+    }
+
     hasPrefix(prefix) {
         let current = this.prefixTree;
         for (const letter of prefix) {
@@ -49,6 +136,44 @@ export class Solver {
         return true;
     }
 
+    /**
+     * Check whether a path touches two opposite edges of the grid
+     * @param {Array<[number, number]>} coords - Path positions
+     * @returns {boolean} True if the path is a spangram candidate
+     */
+    isSpangram(coords) {
+        let top = false;
+        let bottom = false;
+        let left = false;
+        let right = false;
+        for (const [row, col] of coords) {
+            if (row === 0) top = true;
+            if (row === this.rows - 1) bottom = true;
+            if (col === 0) left = true;
+            if (col === this.cols - 1) right = true;
+        }
+        return (top && bottom) || (left && right);
+    }
+
+    /**
+     * Name the spangram, as an answer key does
+     * Other words may then touch opposite edges without taking the spangram's place.
+     * @param {string|null} word - The spangram, or null to treat any word spanning the grid as one
+     */
+    setSpangramWord(word) {
+        this.spangramWord = word;
+    }
+
+    /**
+     * Check if a candidate word would be the spangram
+     * @param {string} word - The word
+     * @param {Array<[number, number]>} coords - Path positions
+     * @returns {boolean} True if the path spans the grid and, when the spangram is named, the word is it
+     */
+    isSpangramCandidate(word, coords) {
+        return this.isSpangram(coords) && (!this.spangramWord || word === this.spangramWord);
+    }
+
     /**
      * Find all possible words starting from a given position
      * @param {number} startRow - Starting row
@@ -57,9 +182,10 @@ export class Solver {
      * @param {Set<string>} blacklistedWords - Words to exclude
      * @param {number} minLength - Minimum word length
      * @param {number} maxLength - Maximum word length
+     * @param {boolean} allPaths - Return every path for each word instead of one
      * @returns {Array<[string, Array<[number, number]>]>} Array of [word, positions] tuples
      */
-    findWordsDFS(startRow, startCol, usedPositions = new Set(), blacklistedWords = new Set(), minLength = 4, maxLength = 15) {
+    findWordsDFS(startRow, startCol, usedPositions = new Set(), blacklistedWords = new Set(), minLength = 4, maxLength = 15, allPaths = false) {
         if (startRow < 0 || startRow >= this.rows || startCol < 0 || startCol >= this.cols) {
             return [];
         }
@@ -69,7 +195,7 @@ export class Solver {
             return [];
         }
 
-        const foundWords = [];
+        const foundWords = []; // Every [word, positions] found (allPaths mode)
         const uniqueWords = new Map(); // word -> positions (keep longest path)
 
         // 8 directions: up, down, left, right, and 4 diagonals
@@ -82,10 +208,12 @@ export class Solver {
         const dfs = (row, col, currentWord, currentPath, visited) => {
             // Check if current word is valid
             if (currentWord.length >= minLength && 
-                this.wordSet.has(currentWord) && 
+                this.hasWord(currentWord) && 
                 !blacklistedWords.has(currentWord)) {
-                // Keep if it's a new word or a longer path for existing word
-                if (!uniqueWords.has(currentWord) || currentPath.length > uniqueWords.get(currentWord).length) {
+                if (allPaths) {
+                    foundWords.push([currentWord, [...currentPath]]);
+                } else if (!uniqueWords.has(currentWord) || currentPath.length > uniqueWords.get(currentWord).length) {
+                    // Keep if it's a new word or a longer path for existing word
                     uniqueWords.set(currentWord, [...currentPath]);
                 }
             }
@@ -143,7 +271,9 @@ export class Solver {
         dfs(startRow, startCol, startLetter, [[startRow, startCol]], startVisited);
 
         // Convert to array and sort by length (descending)
-        const result = Array.from(uniqueWords.entries()).map(([word, positions]) => [word, positions]);
+        const result = allPaths
+            ? foundWords
+            : Array.from(uniqueWords.entries()).map(([word, positions]) => [word, positions]);
         result.sort((a, b) => b[0].length - a[0].length);
 
         return result;
@@ -151,20 +281,30 @@ export class Solver {
 
     /**
      * Solve the puzzle using backtracking
+     * A complete solution covers every cell and contains exactly one spangram
+     * (a word touching two opposite edges of the grid).
      * @param {Array<[string, Array<[number, number]>]>} allWords - All possible words
-     * @param {Array<[string, Array<[number, number]>]>} existingWords - Already set words
-     * @param {Function} onProgress - Progress callback (attempts, currentSolution, coverage)
+     * @param {Array<[string, Array<[number, number]>, boolean]>} existingWords - Already set words (third element marks the spangram)
+     * @param {Function} onProgress - Progress callback (attempts, currentSolution, coverage, bestSolution)
      * @param {Function} shouldCancel - Function that returns true if should cancel
      * @param {number} maxAttempts - Maximum number of attempts
-     * @returns {Array<[string, Array<[number, number]>]>|null} Solution or null
+     * @param {number} targetWordCount - Exact number of words (spangram included) a complete solution must have; 0 for any
+     * @param {Function} onSolution - Called with each complete solution; return true to keep searching for more
+     * @returns {Array<[string, Array<[number, number]>, boolean]>|null} Solution (third element marks the spangram) or null
      */
-    solvePuzzle(allWords, existingWords = [], onProgress = null, shouldCancel = () => false, maxAttempts = 100000) {
+    solvePuzzle(allWords, existingWords = [], onProgress = null, shouldCancel = () => false, maxAttempts = 100000, targetWordCount = 0, onSolution = null) {
         const usedPositions = new Set();
+        const usedWords = new Set(); // A word can only appear once, whichever path it takes
         const currentSolution = [];
+        let spangramCount = 0;
 
         // Add existing words to solution
-        for (const [word, coords] of existingWords) {
-            currentSolution.push([word, coords]);
+        for (const [word, coords, isSpangram = false] of existingWords) {
+            currentSolution.push([word, coords, isSpangram]);
+            usedWords.add(word);
+            if (isSpangram) {
+                spangramCount++;
+            }
             for (const [row, col] of coords) {
                 usedPositions.add(`${row},${col}`);
             }
@@ -175,7 +315,7 @@ export class Solver {
         let bestCoverage = usedPositions.size;
         const totalPositions = this.rows * this.cols;
 
-        // Prioritize words by length and position uniqueness
+        // Prioritize words by theme relatedness, commonness, length and position uniqueness
         const prioritizedWords = allWords.map(([word, coords, length]) => {
             let positionScore = 0;
             for (const [row, col] of coords) {
@@ -187,8 +327,36 @@ export class Solver {
                     positionScore += 1; // Interior
                 }
             }
-            return { word, coords, length, positionScore, priority: -length * 1000 - positionScore };
-        }).sort((a, b) => a.priority - b.priority);
+            const spangram = this.isSpangramCandidate(word, coords);
+            const priority = -this.getThemeScore(word) * THEME_WEIGHT -
+                this.getCommonness(word) * COMMONNESS_WEIGHT -
+                length * 1000 -
+                positionScore;
+            return { word, coords, length, positionScore, spangram, priority };
+        })
+            // Only one spangram is allowed, so drop candidates once an existing word is the spangram
+            .filter(({ spangram }) => !spangram || spangramCount === 0)
+            // Spangram candidates go first so every branch commits to one early
+            .sort((a, b) => (b.spangram - a.spangram) || (a.priority - b.priority));
+
+        // Index of the last spangram candidate; -1 if there are none
+        let lastSpangramIndex = -1;
+        prioritizedWords.forEach(({ spangram }, i) => {
+            if (spangram) lastSpangramIndex = i;
+        });
+
+        // Word length bounds used to prune branches that can't reach the target word count
+        const lengths = prioritizedWords.map(({ coords }) => coords.length);
+        const minWordLength = lengths.length > 0 ? Math.min(...lengths) : 0;
+        const maxWordLength = lengths.length > 0 ? Math.max(...lengths) : 0;
+
+        const canReachTarget = () => {
+            const wordsLeft = targetWordCount - currentSolution.length;
+            const cellsLeft = totalPositions - usedPositions.size;
+            return wordsLeft > 0 &&
+                cellsLeft >= wordsLeft * minWordLength &&
+                cellsLeft <= wordsLeft * maxWordLength;
+        };
 
         const canPlaceWord = (coords) => {
             for (const [row, col] of coords) {
@@ -199,34 +367,164 @@ export class Solver {
             return true;
         };
 
-        const placeWord = (word, coords) => {
+        const placeWord = (word, coords, spangram) => {
             for (const [row, col] of coords) {
                 usedPositions.add(`${row},${col}`);
             }
-            currentSolution.push([word, coords]);
+            currentSolution.push([word, coords, spangram]);
+            usedWords.add(word);
+            if (spangram) {
+                spangramCount++;
+            }
         };
 
         const removeWord = () => {
-            const [word, coords] = currentSolution.pop();
+            const [word, coords, spangram] = currentSolution.pop();
+            usedWords.delete(word);
+            if (spangram) {
+                spangramCount--;
+            }
             for (const [row, col] of coords) {
                 usedPositions.delete(`${row},${col}`);
             }
         };
 
+        // Candidate word indices covering each cell, in priority order
+        const candidatesByCell = new Map();
+        prioritizedWords.forEach(({ coords }, i) => {
+            for (const [row, col] of coords) {
+                const key = `${row},${col}`;
+                if (!candidatesByCell.has(key)) {
+                    candidatesByCell.set(key, []);
+                }
+                candidatesByCell.get(key).push(i);
+            }
+        });
+
+        // A free cell no word covers rules out a complete solution; region pruning would then
+        // cut every branch, so it is skipped and the search only looks for the best partial
+        let everyCellCoverable = true;
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const key = `${row},${col}`;
+                if (!usedPositions.has(key) && !candidatesByCell.has(key)) {
+                    everyCellCoverable = false;
+                }
+            }
+        }
+
+        const neighbors = [
+            [-1, -1], [-1, 0], [-1, 1],
+            [0, -1],           [0, 1],
+            [1, -1],  [1, 0],  [1, 1]
+        ];
+
+        // Check whether a region size can be written as a sum of word lengths (repeats allowed)
+        const canSumTo = (size, wordLengths) => {
+            const reachable = [true];
+            for (let n = 1; n <= size; n++) {
+                reachable[n] = false;
+                for (const length of wordLengths) {
+                    if (length <= n && reachable[n - length]) {
+                        reachable[n] = true;
+                        break;
+                    }
+                }
+            }
+            return reachable[size];
+        };
+
+        // Split the free cells into connected regions and check each can still be filled
+        // by words from wordIndex onwards. Every word that fits lies inside a single region.
+        const hasDeadRegion = (wordIndex) => {
+            const seen = new Set();
+
+            for (let row = 0; row < this.rows; row++) {
+                for (let col = 0; col < this.cols; col++) {
+                    const startKey = `${row},${col}`;
+                    if (usedPositions.has(startKey) || seen.has(startKey)) {
+                        continue;
+                    }
+
+                    // Flood fill the region
+                    const region = [];
+                    const stack = [[row, col]];
+                    seen.add(startKey);
+                    while (stack.length > 0) {
+                        const [r, c] = stack.pop();
+                        region.push(`${r},${c}`);
+                        for (const [dr, dc] of neighbors) {
+                            const nr = r + dr;
+                            const nc = c + dc;
+                            const key = `${nr},${nc}`;
+                            if (nr >= 0 && nr < this.rows && nc >= 0 && nc < this.cols &&
+                                !usedPositions.has(key) && !seen.has(key)) {
+                                seen.add(key);
+                                stack.push([nr, nc]);
+                            }
+                        }
+                    }
+
+                    // Too small for any word
+                    if (region.length < minWordLength) {
+                        return true;
+                    }
+
+                    // Every cell needs at least one remaining word that fits
+                    const fitLengths = new Set();
+                    for (const key of region) {
+                        const fits = (candidatesByCell.get(key) || []).find(
+                            i => i >= wordIndex && canPlaceWord(prioritizedWords[i].coords)
+                        );
+                        if (fits === undefined) {
+                            return true;
+                        }
+                        fitLengths.add(prioritizedWords[fits].coords.length);
+                    }
+
+                    // The region size must be made from lengths of words that fit inside it;
+                    // only gather more lengths if the first fits per cell aren't enough
+                    if (!canSumTo(region.length, fitLengths)) {
+                        let reachable = false;
+                        for (const key of region) {
+                            for (const i of candidatesByCell.get(key) || []) {
+                                const { coords } = prioritizedWords[i];
+                                if (i < wordIndex || fitLengths.has(coords.length) || !canPlaceWord(coords)) {
+                                    continue;
+                                }
+                                fitLengths.add(coords.length);
+                                if (canSumTo(region.length, fitLengths)) {
+                                    reachable = true;
+                                    break;
+                                }
+                            }
+                            if (reachable) break;
+                        }
+                        if (!reachable) {
+                            return true;
+                        }
+                    }
+                }
+            }
+
+            return false;
+        };
+
         const solveRecursive = (wordIndex) => {
             attempts++;
 
+            // Remember the best partial on every improvement, not only when progress is reported
+            const coverage = usedPositions.size;
+            if (coverage > bestCoverage) {
+                bestCoverage = coverage;
+                bestSolution = currentSolution.map(([w, c, s]) => [w, [...c], s]);
+            }
+
             // Update progress every 1000 attempts
             if (attempts % 1000 === 0) {
-                const coverage = usedPositions.size;
-                if (coverage > bestCoverage) {
-                    bestCoverage = coverage;
-                    bestSolution = currentSolution.map(([w, c]) => [w, [...c]]);
-                }
-                
                 if (onProgress) {
                     const coveragePercent = (coverage / totalPositions) * 100;
-                    onProgress(attempts, currentSolution.length, coveragePercent);
+                    onProgress(attempts, currentSolution.length, coveragePercent, bestSolution);
                 }
 
                 if (shouldCancel()) {
@@ -234,9 +532,20 @@ export class Solver {
                 }
             }
 
-            // Check if we've used all positions
+            // Check if we've used all positions with exactly one spangram (and the target word count, if set)
             if (usedPositions.size === totalPositions) {
-                return true;
+                const complete = spangramCount === 1 &&
+                    (targetWordCount === 0 || currentSolution.length === targetWordCount);
+                // Keep backtracking if the caller is collecting more solutions
+                if (complete && onSolution && onSolution(currentSolution.map(([w, c, s]) => [w, [...c], s]))) {
+                    return false;
+                }
+                return complete;
+            }
+
+            // Stop if the remaining cells can't be split into the remaining word count
+            if (targetWordCount > 0 && !canReachTarget()) {
+                return false;
             }
 
             // Stop if we've exceeded max attempts
@@ -244,12 +553,27 @@ export class Solver {
                 return false;
             }
 
+            // Stop if some free region can no longer be covered
+            if (everyCellCoverable && hasDeadRegion(wordIndex)) {
+                return false;
+            }
+
             // Try each remaining word
             for (let i = wordIndex; i < prioritizedWords.length; i++) {
-                const { word, coords } = prioritizedWords[i];
+                // Without a spangram placed, nothing past the last candidate can complete the board
+                if (spangramCount === 0 && lastSpangramIndex >= 0 && i > lastSpangramIndex) {
+                    break;
+                }
+
+                const { word, coords, spangram } = prioritizedWords[i];
+
+                // Only one spangram per solution
+                if (spangram && spangramCount > 0) {
+                    continue;
+                }
 
-                if (canPlaceWord(coords)) {
-                    placeWord(word, coords);
+                if (!usedWords.has(word) && canPlaceWord(coords)) {
+                    placeWord(word, coords, spangram);
 
                     // Recursively try to solve with this word placed
                     if (solveRecursive(i + 1)) {
@@ -275,5 +599,202 @@ export class Solver {
             return existingWords.length > 0 ? existingWords : null;
         }
     }
-}
 
+    /**
+     * Solve the puzzle as an exact cover with Dancing Links
+     * Every free cell is a column that must be covered once, plus a spangram column when no
+     * set word is the spangram yet. Repeated words share a secondary column so each is used once.
+     * Branching always picks the cell with the fewest candidate words.
+     * @param {Array<[string, Array<[number, number]>]>} allWords - All possible word paths
+     * @param {Array<[string, Array<[number, number]>, boolean]>} existingWords - Already set words (third element marks the spangram)
+     * @param {Function} onProgress - Progress callback (attempts, currentSolution, coverage, bestSolution)
+     * @param {Function} shouldCancel - Function that returns true if should cancel
+     * @param {number} maxAttempts - Maximum number of search nodes
+     * @param {number} targetWordCount - Exact number of words (spangram included) a complete solution must have; 0 for any
+     * @param {Function} onSolution - Called with each complete solution; return true to keep searching for more
+     * @returns {{solution: Array<[string, Array<[number, number]>, boolean]>|null, exhausted: boolean}}
+     *   Complete or best partial solution; exhausted is true when the whole search space was explored,
+     *   which without a solution proves no complete cover exists
+     */
+    solveExactCover(allWords, existingWords = [], onProgress = null, shouldCancel = () => false, maxAttempts = 100000, targetWordCount = 0, onSolution = null) {
+        const usedPositions = new Set();
+        let existingSpangrams = 0;
+        for (const [word, coords, isSpangram = false] of existingWords) {
+            if (isSpangram) {
+                existingSpangrams++;
+            }
+            for (const [row, col] of coords) {
+                usedPositions.add(`${row},${col}`);
+            }
+        }
+
+        const fallback = existingWords.length > 0 ? existingWords.map(([w, c, s = false]) => [w, c, s]) : null;
+        if (existingSpangrams > 1) {
+            return { solution: fallback, exhausted: true };
+        }
+
+        // One primary column per free cell
+        const cellColumns = new Map();
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const key = `${row},${col}`;
+                if (!usedPositions.has(key)) {
+                    cellColumns.set(key, cellColumns.size);
+                }
+            }
+        }
+        const needsSpangram = existingSpangrams === 0;
+        const spangramColumn = cellColumns.size;
+        const primaryCount = cellColumns.size + (needsSpangram ? 1 : 0);
+
+        // Candidate rows: words on free cells only, spangrams only while one is still needed
+        const candidates = [];
+        const wordColumns = new Map();
+        for (const [word, coords] of allWords) {
+            if (coords.some(([row, col]) => usedPositions.has(`${row},${col}`))) {
+                continue;
+            }
+            const spangram = this.isSpangramCandidate(word, coords);
+            if (spangram && !needsSpangram) {
+                continue;
+            }
+            if (!wordColumns.has(word)) {
+                wordColumns.set(word, primaryCount + wordColumns.size);
+            }
+            candidates.push({ word, coords, spangram });
+        }
+
+        // Rows are tried in insertion order, so on-theme and common words are branched on first
+        const preference = (word) => this.getThemeScore(word) * THEME_WEIGHT + this.getCommonness(word) * COMMONNESS_WEIGHT;
+        candidates.sort((a, b) => preference(b.word) - preference(a.word));
+
+        const dlx = new DancingLinks(primaryCount, wordColumns.size);
+        for (const { word, coords, spangram } of candidates) {
+            const columns = coords.map(([row, col]) => cellColumns.get(`${row},${col}`));
+            if (spangram) {
+                columns.push(spangramColumn);
+            }
+            columns.push(wordColumns.get(word));
+            dlx.addRow(columns);
+        }
+
+        const lengths = candidates.map(({ coords }) => coords.length);
+        const minWordLength = lengths.length > 0 ? Math.min(...lengths) : 0;
+        const maxWordLength = lengths.length > 0 ? Math.max(...lengths) : 0;
+        const totalPositions = this.rows * this.cols;
+
+        const toSolution = (rows) => [
+            ...(fallback || []),
+            ...rows.map(r => [candidates[r].word, candidates[r].coords, candidates[r].spangram])
+        ];
+
+        let attempts = 0;
+        let bestSolution = [];
+        let bestCoverage = usedPositions.size;
+        let completeSolution = null;
+
+        const onNode = (rows) => {
+            attempts++;
+
+            const covered = rows.reduce((sum, r) => sum + candidates[r].coords.length, usedPositions.size);
+            if (covered > bestCoverage) {
+                bestCoverage = covered;
+                bestSolution = toSolution(rows);
+            }
+
+            // Update progress every 1000 attempts
+            if (attempts % 1000 === 0) {
+                if (onProgress) {
+                    onProgress(attempts, existingWords.length + rows.length, (covered / totalPositions) * 100, bestSolution);
+                }
+                if (shouldCancel()) {
+                    dlx.stop();
+                    return false;
+                }
+            }
+
+            if (attempts > maxAttempts) {
+                dlx.stop();
+                return false;
+            }
+
+            // Prune branches whose remaining cells can't be split into the remaining word count
+            const cellsLeft = totalPositions - covered;
+            if (targetWordCount > 0 && cellsLeft > 0) {
+                const wordsLeft = targetWordCount - existingWords.length - rows.length;
+                if (wordsLeft <= 0 ||
+                    cellsLeft < wordsLeft * minWordLength ||
+                    cellsLeft > wordsLeft * maxWordLength) {
+                    return false;
+                }
+            }
+            return true;
+        };
+
+        const handleCover = (rows) => {
+            if (targetWordCount > 0 && existingWords.length + rows.length !== targetWordCount) {
+                return;
+            }
+            const solution = toSolution(rows);
+            // Keep searching if the caller is collecting more solutions
+            if (onSolution && onSolution(solution)) {
+                return;
+            }
+            completeSolution = solution;
+            dlx.stop();
+        };
+
+        const exhausted = dlx.search(handleCover, onNode);
+
+        if (completeSolution) {
+            return { solution: completeSolution, exhausted: false };
+        }
+        return {
+            solution: bestSolution.length > 0 ? bestSolution : fallback,
+            exhausted
+        };
+    }
+
+    /**
+     * Check that a solution covers every cell, has exactly one spangram and matches the target word count
+     * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Solver output
+     * @param {number} targetWordCount - Exact number of words (spangram included); 0 for any
+     * @returns {boolean}
+     */
+    isCompleteSolution(solution, targetWordCount = 0) {
+        const usedPositions = new Set();
+        for (const [word, coords] of solution) {
+            for (const [row, col] of coords) {
+                usedPositions.add(`${row},${col}`);
+            }
+        }
+        const spangramCount = solution.filter(([word, coords, isSpangram]) => isSpangram).length;
+        const matchesTarget = targetWordCount === 0 || solution.length === targetWordCount;
+        return usedPositions.size === this.rows * this.cols && spangramCount === 1 && matchesTarget;
+    }
+
+    /**
+     * Score a complete solution: a spangram is worth the most, then fewer (longer)
+     * words, then how common the words are on average
+     * @param {Array<[string, Array<[number, number]>, boolean]>} solution - Complete solution
+     * @returns {number} Higher is better
+     */
+    scoreSolution(solution) {
+        const spangramCount = solution.filter(([word, coords, isSpangram]) => isSpangram).length;
+        const averageCommonness = solution.length > 0
+            ? solution.reduce((sum, [word]) => sum + this.getCommonness(word), 0) / solution.length
+            : 0;
+        return (spangramCount === 1 ? 100 : 0) - solution.length * 5 + averageCommonness * 50;
+    }
+
+    /**
+     * Rank solutions by score, best first
+     * @param {Array<Array<[string, Array<[number, number]>, boolean]>>} solutions - Complete solutions
+     * @returns {Array<{solution: Array, score: number}>}
+     */
+    rankSolutions(solutions) {
+        return solutions
+            .map(solution => ({ solution, score: this.scoreSolution(solution) }))
+            .sort((a, b) => b.score - a.score);
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Solver Client
+ * Main-thread side of the solver worker message protocol
+ */
+
+// How long a cancel waits for the worker to acknowledge before it is terminated
+const CANCEL_GRACE_MS = 300;
+
+export class SolverClient {
+    constructor() {
+        this.worker = null;
+        this.wordSet = null;
+        this.wordCommonness = null;
+        this.nextJobId = 1;
+        this.job = null; // { id, resolve, reject, onProgress, onPartial, cancelTimer }
+        this.scans = new Map(); // id -> { resolve, reject } for candidate scans waiting on the worker
+        this.spawn();
+    }
+
+    /**
+     * Start a new worker, re-sending the word list and commonness scores if they were set
+     */
+    spawn() {
+        this.worker = new Worker(new URL('./solverWorker.js?v=14', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => {
+            console.error('Solver worker failed:', e);
+            if (this.job) {
+                this.finishJob().reject(new Error(e.message || 'Solver worker failed'));
+            }
+            this.rejectScans(new Error(e.message || 'Solver worker failed'));
+        };
+        if (this.wordSet) {
+            this.worker.postMessage({ type: 'setWordSet', words: this.wordSet });
+        }
+        if (this.wordCommonness) {
+            this.worker.postMessage({ type: 'setWordCommonness', commonness: this.wordCommonness });
+        }
+    }
+
+    /**
+     * Send the word list to the worker
+     * @param {Set<string>} wordSet - Words the solver may use
+     */
+    setWordSet(wordSet) {
+        this.wordSet = wordSet;
+        this.worker.postMessage({ type: 'setWordSet', words: wordSet });
+    }
+
+    /**
+     * Send word commonness scores to the worker
+     * @param {Map<string, number>} commonness - word -> score from 0 (obscure) to 1 (common)
+     */
+    setWordCommonness(commonness) {
+        this.wordCommonness = commonness;
+        this.worker.postMessage({ type: 'setWordCommonness', commonness });
+    }
+
+    /**
+     * Check if a solve is running
+     * @returns {boolean}
+     */
+    isBusy() {
+        return this.job !== null;
+    }
+
+    /**
+     * Scan the grid and solve it in the worker
+     * @param {Object} params - grid, existingWords, blacklistedWords, extraWords, minCommonness, theme, maxAttempts, targetWordCount, strategy, maxSolutions
+     * @param {Object} handlers - onProgress(progress) and onPartial(solution, coverage) callbacks
+     * @returns {Promise<{cancelled: boolean, solution: Array|null, exhausted: boolean, solutions: Array}>}
+     */
+    solve(params, { onProgress = null, onPartial = null } = {}) {
+        if (this.job) {
+            return Promise.reject(new Error('A solve is already running'));
+        }
+
+        const id = this.nextJobId++;
+        return new Promise((resolve, reject) => {
+            this.job = { id, resolve, reject, onProgress, onPartial, cancelTimer: null };
+            this.worker.postMessage({ type: 'start', id, ...params });
+        });
+    }
+
+    /**
+     * List every candidate word path on the free cells in the worker
+     * A scan sent during a solve runs once the solve is done.
+     * @param {Object} params - grid, usedPositions, excludedWords, extraWords, minCommonness
+     * @returns {Promise<Array<[string, Array<[number, number]>]>>} Candidate paths
+     */
+    scan(params) {
+        const id = this.nextJobId++;
+        return new Promise((resolve, reject) => {
+            this.scans.set(id, { resolve, reject });
+            this.worker.postMessage({ type: 'scan', id, ...params });
+        });
+    }
+
+    /**
+     * Fail every scan still waiting, e.g. when the worker is replaced
+     * @param {Error} error - Reason given to the callers
+     */
+    rejectScans(error) {
+        for (const { reject } of this.scans.values()) {
+            reject(error);
+        }
+        this.scans.clear();
+    }
+
+    /**
+     * Cancel the running solve
+     * The worker only sees the cancel between scan positions, so it is
+     * terminated and replaced if it doesn't acknowledge in time.
+     */
+    cancel() {
+        if (!this.job || this.job.cancelTimer) {
+            return;
+        }
+
+        const { id } = this.job;
+        this.worker.postMessage({ type: 'cancel', id });
+        this.job.cancelTimer = setTimeout(() => {
+            if (this.job && this.job.id === id) {
+                console.log('Solver worker did not respond to cancel, restarting it');
+                this.worker.terminate();
+                this.finishJob().resolve({ cancelled: true, solution: null, exhausted: false, solutions: [] });
+                this.rejectScans(new Error('Solver worker restarted'));
+                this.spawn();
+            }
+        }, CANCEL_GRACE_MS);
+    }
+
+    /**
+     * Clear the running job
+     * @returns {Object} The finished job
+     */
+    finishJob() {
+        const job = this.job;
+        clearTimeout(job.cancelTimer);
+        this.job = null;
+        return job;
+    }
+
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            console.log('Solver worker ready:', message.wordCount, 'words');
+            return;
+        }
+
+        const scan = this.scans.get(message.id);
+        if (scan) {
+            this.scans.delete(message.id);
+            if (message.type === 'candidates') {
+                scan.resolve(message.candidates);
+            } else {
+                scan.reject(new Error(message.message));
+            }
+            return;
+        }
+
+        // Ignore messages from jobs that were already finished or cancelled
+        if (!this.job || message.id !== this.job.id) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'progress':
+                if (this.job.onProgress) {
+                    this.job.onProgress(message);
+                }
+                break;
+            case 'partial':
+                if (this.job.onPartial) {
+                    this.job.onPartial(message.solution, message.coverage);
+                }
+                break;
+            case 'result':
+                this.finishJob().resolve({
+                    cancelled: false,
+                    solution: message.solution,
+                    exhausted: message.exhausted,
+                    solutions: message.solutions
+                });
+                break;
+            case 'cancelled':
+                this.finishJob().resolve({ cancelled: true, solution: null, exhausted: false, solutions: [] });
+                break;
+            case 'error':
+                this.finishJob().reject(new Error(message.message));
+                break;
+            default:
+                console.warn('Unknown solver worker message:', message.type);
+        }
+    }
+}
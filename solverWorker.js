@@ -0,0 +1,241 @@
+/**
+ * Solver Worker
+ * Runs the whole-grid word scan and puzzle solving off the main thread
+ *
+ * Messages in:
+ *   { type: 'setWordSet', words }                    - Word list; the prefix tree is built once and reused across grids
+ *   { type: 'setWordCommonness', commonness }        - Map of word -> commonness (0 to 1) used to order and rank words
+ *   { type: 'start', id, grid, existingWords, blacklistedWords, extraWords, minCommonness, theme, maxAttempts, targetWordCount, strategy, maxSolutions }
+ *                                                    - extraWords is the user whitelist added to the word list
+ *                                                    - minCommonness drops candidate words scoring below it
+ *                                                    - theme is the puzzle clue; related words are tried first
+ *                                                    - strategy is 'backtracking' or 'exact-cover'
+ *                                                    - maxSolutions > 1 collects and ranks up to that many complete solutions
+ *   { type: 'scan', id, grid, usedPositions, excludedWords, extraWords, minCommonness }
+ *                                                    - Every candidate path on the free cells, for the heatmap
+ *   { type: 'cancel', id }                           - Only seen between scan positions; the client terminates the worker otherwise
+ *
+ * Messages out:
+ *   { type: 'ready', wordCount }
+ *   { type: 'progress', id, stage: 'scan', row, col }
+ *   { type: 'progress', id, stage: 'scanned', wordCount }
+ *   { type: 'progress', id, stage: 'solve', attempts, wordCount, coverage }
+ *   { type: 'progress', id, stage: 'found', solutionCount }
+ *   { type: 'partial', id, solution, coverage }      - New best partial solution
+ *   { type: 'result', id, solution, exhausted, solutions }
+ *                                                    - exhausted: the exact-cover search explored every option
+ *                                                    - solutions: ranked [{ solution, score }] when maxSolutions > 1
+ *   { type: 'candidates', id, candidates }           - Result of a scan: [word, positions] per path
+ *   { type: 'cancelled', id }
+ *   { type: 'error', id, message }
+ */
+
+import { Solver } from './solver.js?v=17';
+import { loadThemeRanker } from './themes.js?v=1';
+import { findCandidates } from './analysis.js?v=3';
+
+let wordSet = new Set();
+let wordCommonness = new Map();
+let themeRanker = null; // Loaded on the first job with a theme
+let solver = null; // Created on the first job, then reused with setGrid
+let cancelledJobId = null;
+let queue = Promise.resolve(); // Jobs run one after another: a scan sent during a solve waits for it
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    switch (message.type) {
+        case 'setWordSet':
+            wordSet = message.words;
+            if (solver) {
+                solver.setWordSet(wordSet);
+            }
+            self.postMessage({ type: 'ready', wordCount: wordSet.size });
+            break;
+        case 'setWordCommonness':
+            wordCommonness = message.commonness;
+            if (solver) {
+                solver.setWordCommonness(wordCommonness);
+            }
+            break;
+        case 'start':
+            runQueued(message, runSolve);
+            break;
+        case 'scan':
+            runQueued(message, runScan);
+            break;
+        case 'cancel':
+            cancelledJobId = message.id;
+            break;
+        default:
+            console.warn('Unknown solver worker message:', message.type);
+    }
+};
+
+/**
+ * Run a job after the ones already queued, reporting its errors to the client
+ * @param {Object} message - The job message
+ * @param {Function} run - Async job runner
+ */
+function runQueued(message, run) {
+    queue = queue.then(async () => {
+        try {
+            await run(message);
+        } catch (error) {
+            console.error('Solver worker error:', error);
+            self.postMessage({ type: 'error', id: message.id, message: error.message });
+        }
+    });
+}
+
+/**
+ * Point the solver at a grid and whitelist, creating it on the first job
+ * @param {Array<Array<string>>} grid - 2D array of letters
+ * @param {Array<string>} extraWords - User whitelist
+ */
+function prepareSolver(grid, extraWords) {
+    if (solver) {
+        solver.setGrid(grid);
+    } else {
+        solver = new Solver(grid, wordSet);
+        solver.setWordCommonness(wordCommonness);
+    }
+    solver.setExtraWords(extraWords);
+}
+
+/**
+ * List every candidate word path on the free cells
+ * @param {Object} job - The 'scan' message
+ */
+async function runScan(job) {
+    const { id, grid, usedPositions, excludedWords, extraWords = [], minCommonness = 0 } = job;
+    prepareSolver(grid, extraWords);
+    const candidates = findCandidates(solver, usedPositions, excludedWords, minCommonness);
+    self.postMessage({ type: 'candidates', id, candidates });
+}
+
+/**
+ * Yield to the event loop so queued cancel messages get handled
+ * @returns {Promise<void>}
+ */
+function yieldToMessages() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Scan the grid for candidate words and run the selected solver strategy
+ * @param {Object} job - The 'start' message
+ */
+async function runSolve(job) {
+    const { id, grid, existingWords, blacklistedWords, extraWords = [], minCommonness = 0, theme = '', maxAttempts, targetWordCount, strategy = 'backtracking', maxSolutions = 1 } = job;
+    const exactCover = strategy === 'exact-cover';
+    const isCancelled = () => cancelledJobId === id;
+
+    prepareSolver(grid, extraWords);
+
+    // The theme only reorders candidates, so solve without it if the associations can't be loaded
+    solver.setThemeScorer(null);
+    if (theme.trim()) {
+        try {
+            themeRanker = themeRanker || await loadThemeRanker();
+            themeRanker.setTheme(theme);
+            solver.setThemeScorer((word) => themeRanker.score(word));
+        } catch (error) {
+            console.warn('Theme associations unavailable:', error);
+        }
+    }
+
+    // Find words from all positions
+    const usedPositions = new Set();
+    for (const [word, coords] of existingWords) {
+        for (const [row, col] of coords) {
+            usedPositions.add(`${row},${col}`);
+        }
+    }
+
+    const allPossibleWords = [];
+    for (let row = 0; row < grid.length; row++) {
+        for (let col = 0; col < grid[0].length; col++) {
+            await yieldToMessages();
+            if (isCancelled()) {
+                self.postMessage({ type: 'cancelled', id });
+                return;
+            }
+
+            self.postMessage({ type: 'progress', id, stage: 'scan', row, col });
+
+            // Exact cover needs every path of each word to be able to prove there is no cover
+            const wordsFromPos = solver.findWordsDFS(row, col, usedPositions, blacklistedWords, 4, 15, exactCover);
+            for (const [word, coords] of wordsFromPos) {
+                if (solver.meetsCommonness(word, minCommonness)) {
+                    allPossibleWords.push([word, coords, coords.length]);
+                }
+            }
+        }
+    }
+
+    self.postMessage({ type: 'progress', id, stage: 'scanned', wordCount: allPossibleWords.length });
+
+    // Report each improvement of the best partial solution
+    let lastBest = null;
+    const onProgress = (attempts, wordCount, coverage, bestSolution) => {
+        self.postMessage({ type: 'progress', id, stage: 'solve', attempts, wordCount, coverage });
+        if (bestSolution !== lastBest && bestSolution.length > 0) {
+            lastBest = bestSolution;
+            const covered = bestSolution.reduce((sum, [word, coords]) => sum + coords.length, 0);
+            self.postMessage({
+                type: 'partial',
+                id,
+                solution: bestSolution,
+                coverage: (covered / (grid.length * grid[0].length)) * 100
+            });
+        }
+    };
+
+    // Collect complete solutions until maxSolutions are found
+    const found = [];
+    const onSolution = maxSolutions > 1
+        ? (completeSolution) => {
+            found.push(completeSolution);
+            self.postMessage({ type: 'progress', id, stage: 'found', solutionCount: found.length });
+            return found.length < maxSolutions;
+        }
+        : null;
+
+    let solution;
+    let exhausted = false;
+    if (exactCover) {
+        ({ solution, exhausted } = solver.solveExactCover(
+            allPossibleWords,
+            existingWords,
+            onProgress,
+            isCancelled,
+            maxAttempts,
+            targetWordCount,
+            onSolution
+        ));
+    } else {
+        solution = solver.solvePuzzle(
+            allPossibleWords,
+            existingWords,
+            onProgress,
+            isCancelled,
+            maxAttempts,
+            targetWordCount,
+            onSolution
+        );
+    }
+
+    if (isCancelled()) {
+        self.postMessage({ type: 'cancelled', id });
+        return;
+    }
+
+    // The best ranked complete solution replaces the partial one
+    const solutions = solver.rankSolutions(found);
+    if (solutions.length > 0) {
+        solution = solutions[0].solution;
+    }
+
+    self.postMessage({ type: 'result', id, solution, exhausted, solutions });
+}
@@ -0,0 +1,137 @@
+/**
+ * Storage Module
+ * Persists the current session, a library of named puzzles and the word list choice in localStorage
+ */
+
+const SESSION_KEY = 'strandsSolver.session';
+const PUZZLES_KEY = 'strandsSolver.puzzles';
+const DICTIONARY_KEY = 'strandsSolver.dictionary';
+
+/**
+ * Read and parse a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned if missing or unreadable
+ * @returns {*} Parsed value or fallback
+ */
+function readJSON(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (error) {
+        console.error(`Error reading ${key} from storage:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Serialize and write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {boolean} True if saved
+ */
+function writeJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.error(`Error writing ${key} to storage:`, error);
+        return false;
+    }
+}
+
+/**
+ * Save the current session (autosave)
+ * @param {Object} state - Session state from StrandsApp.getSessionState
+ * @returns {boolean} True if saved
+ */
+export function saveSession(state) {
+    return writeJSON(SESSION_KEY, state);
+}
+
+/**
+ * Load the last autosaved session
+ * @returns {Object|null} Session state or null if none
+ */
+export function loadSession() {
+    return readJSON(SESSION_KEY, null);
+}
+
+/**
+ * List saved puzzles, newest first
+ * @returns {Array<{id: string, name: string, savedAt: number, state: Object}>}
+ */
+export function listPuzzles() {
+    const puzzles = readJSON(PUZZLES_KEY, []);
+    return Array.isArray(puzzles) ? puzzles.sort((a, b) => b.savedAt - a.savedAt) : [];
+}
+
+/**
+ * Save a puzzle to the library
+ * @param {string} name - Puzzle name
+ * @param {Object} state - Session state to store
+ * @returns {Object|null} The saved puzzle or null if storage failed
+ */
+export function savePuzzle(name, state) {
+    const puzzle = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name,
+        savedAt: Date.now(),
+        state
+    };
+    const puzzles = listPuzzles();
+    puzzles.push(puzzle);
+    return writeJSON(PUZZLES_KEY, puzzles) ? puzzle : null;
+}
+
+/**
+ * Find a saved puzzle
+ * @param {string} id - Puzzle id
+ * @returns {Object|null} The puzzle or null if not found
+ */
+export function loadPuzzle(id) {
+    return listPuzzles().find(puzzle => puzzle.id === id) || null;
+}
+
+/**
+ * Rename a saved puzzle
+ * @param {string} id - Puzzle id
+ * @param {string} name - New name
+ * @returns {boolean} True if renamed
+ */
+export function renamePuzzle(id, name) {
+    const puzzles = listPuzzles();
+    const puzzle = puzzles.find(p => p.id === id);
+    if (!puzzle) return false;
+    puzzle.name = name;
+    return writeJSON(PUZZLES_KEY, puzzles);
+}
+
+/**
+ * Delete a saved puzzle
+ * @param {string} id - Puzzle id
+ * @returns {boolean} True if deleted
+ */
+export function deletePuzzle(id) {
+    const puzzles = listPuzzles();
+    const remaining = puzzles.filter(p => p.id !== id);
+    if (remaining.length === puzzles.length) return false;
+    return writeJSON(PUZZLES_KEY, remaining);
+}
+
+/**
+ * Save which word lists are active
+ * @param {{ids: Array<string>, mode: string}} selection - Dictionary ids and 'union' or 'intersection'
+ * @returns {boolean} True if saved
+ */
+export function saveDictionarySelection(selection) {
+    return writeJSON(DICTIONARY_KEY, selection);
+}
+
+/**
+ * Load the saved word list choice
+ * @returns {{ids: Array<string>, mode: string}|null} Selection or null if none
+ */
+export function loadDictionarySelection() {
+    const selection = readJSON(DICTIONARY_KEY, null);
+    return selection && Array.isArray(selection.ids) ? selection : null;
+}
@@ -0,0 +1,134 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Solver } from '../solver.js';
+import { findCandidates, buildCellCandidates, findWordsThroughCell, getCellWordCounts, findFreeRegions, findForcedMoves } from '../analysis.js';
+import { FRUIT_BOARD, FLOWER_BOARD, toGrid } from './fixtures/boards.js';
+
+const GRAPE = [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]];
+
+/**
+ * Analyze a fixture board with some words already placed
+ */
+function analyze(board, placed = [], words = board.words) {
+    const grid = toGrid(board.grid);
+    const solver = new Solver(grid, new Set(words));
+    const usedPositions = new Set();
+    for (const positions of placed) {
+        positions.forEach(([row, col]) => usedPositions.add(`${row},${col}`));
+    }
+    const candidates = findCandidates(solver, usedPositions, new Set());
+    return findForcedMoves(grid, candidates, usedPositions);
+}
+
+describe('findForcedMoves', () => {
+    test('finds words forced by a corner and by a single cell', () => {
+        const { moves, problems } = analyze(FRUIT_BOARD);
+        assert.deepEqual(moves.map(move => [move.word, move.kind, move.cell]), [
+            ['GRAPE', 'corner', [0, 0]],
+            ['BLUEBERRY', 'cell', [1, 4]]
+        ]);
+        assert.equal(moves[0].reason, 'because corner (0,0) can only be covered by GRAPE');
+        assert.deepEqual(moves[0].positions, GRAPE);
+        assert.deepEqual(problems, []);
+    });
+
+    test('finds a region that only one set of words fills', () => {
+        const { moves } = analyze(FRUIT_BOARD, [GRAPE]);
+        const lemons = moves.find(move => move.word === 'LEMONS');
+        assert.equal(lemons.kind, 'region');
+        assert.equal(lemons.reason, 'because the 15-letter region at (1,0) can only be filled by LEMONS + BLUEBERRY');
+    });
+
+    test('lists each word path once', () => {
+        const { moves } = analyze(FLOWER_BOARD);
+        const paths = moves.map(move => JSON.stringify(move.positions));
+        assert.equal(new Set(paths).size, paths.length);
+        assert.ok(moves.some(move => move.word === 'DAFFODIL' && move.kind === 'corner'));
+    });
+
+    test('reports cells no word can cover', () => {
+        const { moves, problems } = analyze(FRUIT_BOARD, [], ['GRAPE', 'BLUEBERRY']);
+        assert.ok(problems.includes('No word can cover cell (1,0) (L)'));
+        assert.ok(!moves.some(move => move.kind === 'region'), 'regions with dead cells are skipped');
+    });
+
+    test('reports a region that no set of words fills', () => {
+        // Every cell has a candidate, but the two words overlap
+        const { problems } = analyze({ grid: ['ABCDE'], words: ['ABCD', 'BCDE'] });
+        assert.deepEqual(problems, ["The 5-letter region at (0,0) can't be filled with the remaining words"]);
+    });
+});
+
+describe('findFreeRegions', () => {
+    test('splits free cells into connected regions', () => {
+        const used = new Set(['0,1', '1,1', '2,1']);
+        const regions = findFreeRegions(3, 3, used);
+        assert.deepEqual(regions, [
+            [[0, 0], [1, 0], [2, 0]],
+            [[0, 2], [1, 2], [2, 2]]
+        ]);
+    });
+
+    test('connects cells through diagonals', () => {
+        const used = new Set(['0,1', '1,0']);
+        assert.equal(findFreeRegions(2, 2, used).length, 1);
+    });
+});
+
+describe('buildCellCandidates', () => {
+    test('maps each cell to the candidates covering it', () => {
+        const cellCandidates = buildCellCandidates([['AB', [[0, 0], [0, 1]]], ['BC', [[0, 1], [0, 2]]]]);
+        assert.deepEqual(cellCandidates.get('0,1'), [0, 1]);
+        assert.deepEqual(cellCandidates.get('0,2'), [1]);
+    });
+});
+
+describe('findWordsThroughCell', () => {
+    const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(FRUIT_BOARD.words));
+
+    /**
+     * Scan the fruit board and list the words through one cell
+     */
+    function through(row, col, usedPositions = new Set()) {
+        const candidates = findCandidates(solver, usedPositions, new Set());
+        return findWordsThroughCell(candidates, buildCellCandidates(candidates), row, col);
+    }
+
+    test('finds words with the cell at any position', () => {
+        assert.deepEqual(through(1, 1), [
+            ['LEMONS', [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [3, 1]], 1],
+            ['LEMON', [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0]], 1]
+        ]);
+    });
+
+    test('sorts by where the cell sits in the word', () => {
+        assert.deepEqual(through(0, 2).map(([word, , index]) => [word, index]), [['RAPE', 1], ['GRAPE', 2]]);
+    });
+
+    test('returns an empty list for used cells', () => {
+        assert.deepEqual(through(1, 1, new Set(['1,1'])), []);
+        assert.deepEqual(through(1, 1, new Set(['1,0'])), [], 'no word reaches it');
+    });
+});
+
+describe('getCellWordCounts', () => {
+    test('counts distinct words, not paths', () => {
+        const counts = getCellWordCounts([
+            ['ABCD', [[0, 0], [0, 1], [0, 2], [0, 3]]],
+            ['ABCD', [[0, 0], [1, 1], [0, 2], [0, 3]]],
+            ['BCDE', [[0, 1], [0, 2], [0, 3], [0, 4]]]
+        ]);
+        assert.equal(counts.get('0,0'), 1);
+        assert.equal(counts.get('0,2'), 2);
+        assert.equal(counts.get('1,1'), 1);
+        assert.ok(!counts.has('1,0'));
+    });
+
+    test('a fixture board corner has a single candidate', () => {
+        const grid = toGrid(FRUIT_BOARD.grid);
+        const candidates = findCandidates(new Solver(grid, new Set(FRUIT_BOARD.words)), new Set(), new Set());
+        const counts = getCellWordCounts(candidates);
+        assert.equal(counts.get('0,0'), 1, 'only GRAPE');
+        assert.equal(counts.get('0,1'), 2, 'GRAPE and RAPE');
+    });
+});
@@ -0,0 +1,153 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { PlayGame, parseAnswerKey, formatAnswerKey, resolveAnswerPaths, compareWithAnswers } from '../answerKey.js';
+import { FRUIT_BOARD, FLOWER_BOARD, toGrid } from './fixtures/boards.js';
+
+const GRAPE = [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]];
+const LEMONS = [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [3, 1]];
+
+const isWord = (word) => FRUIT_BOARD.words.includes(word) || ['BLUE', 'MOLE', 'LEMS'].includes(word);
+
+describe('parseAnswerKey', () => {
+    test('reads one word per line with the spangram marked', () => {
+        assert.deepEqual(parseAnswerKey('grape*\nLemons\n\nBLUEBERRY\n'), {
+            words: ['GRAPE', 'LEMONS', 'BLUEBERRY'],
+            spangram: 'GRAPE'
+        });
+        assert.deepEqual(parseAnswerKey('*GRAPE, LEMONS BLUEBERRY').spangram, 'GRAPE');
+    });
+
+    test('rejects bad keys', () => {
+        assert.throws(() => parseAnswerKey(''), /no words/);
+        assert.throws(() => parseAnswerKey('GRAPE FIG'), /shorter than 4/);
+        assert.throws(() => parseAnswerKey('GRAPE GRAPE'), /listed twice/);
+        assert.throws(() => parseAnswerKey('GRAPE* LEMONS*'), /Only one spangram/);
+        assert.throws(() => parseAnswerKey('GR4PE'), /not a word/);
+    });
+
+    test('formatAnswerKey round-trips', () => {
+        const key = parseAnswerKey('GRAPE*\nLEMONS\nBLUEBERRY');
+        assert.deepEqual(parseAnswerKey(formatAnswerKey(key)), key);
+    });
+});
+
+describe('resolveAnswerPaths', () => {
+    test('places every answer on the grid in key order', () => {
+        const answers = resolveAnswerPaths(toGrid(FRUIT_BOARD.grid), parseAnswerKey('LEMONS GRAPE* BLUEBERRY'));
+        assert.deepEqual(answers.map(([word, , isSpangram]) => [word, isSpangram]),
+            [['LEMONS', false], ['GRAPE', true], ['BLUEBERRY', false]]);
+        assert.deepEqual(answers[1][1], GRAPE);
+    });
+
+    test('resolves a full-size board', () => {
+        const answers = resolveAnswerPaths(toGrid(FLOWER_BOARD.grid), parseAnswerKey(FLOWER_BOARD.solution.join('\n')));
+        assert.equal(answers.length, FLOWER_BOARD.solution.length);
+        assert.ok(answers.find(([word]) => word === 'DAFFODIL')[2]);
+    });
+
+    test('accepts theme words that also cross the board', () => {
+        // WORD and LINE run top to bottom like SPAN, but only SPAN is marked as the spangram
+        const grid = toGrid(['SWL', 'POI', 'ARN', 'NDE']);
+        const answers = resolveAnswerPaths(grid, parseAnswerKey('SPAN*\nWORD\nLINE'));
+        assert.deepEqual(answers.map(([word, , isSpangram]) => [word, isSpangram]),
+            [['SPAN', true], ['WORD', false], ['LINE', false]]);
+
+        const game = new PlayGame();
+        game.setKey(grid, parseAnswerKey('SPAN*\nWORD\nLINE'));
+        assert.equal(game.checkWord('WORD', answers[1][1], [], () => true).result, 'theme');
+    });
+
+    test('returns null when the words do not fill the grid', () => {
+        const grid = toGrid(FRUIT_BOARD.grid);
+        assert.equal(resolveAnswerPaths(grid, parseAnswerKey('GRAPE LEMON BLUEBERRY')), null);
+        assert.equal(resolveAnswerPaths(grid, parseAnswerKey('GRAPE LEMONS* BLUEBERRY')), null, 'wrong spangram');
+    });
+});
+
+describe('compareWithAnswers', () => {
+    const answers = resolveAnswerPaths(toGrid(FRUIT_BOARD.grid), parseAnswerKey('GRAPE*\nLEMONS\nBLUEBERRY'));
+
+    test('sorts found words into correct, wrong path and wrong, and lists missing answers', () => {
+        const setWords = [
+            ['GRAPE', [...GRAPE].reverse(), true],
+            ['LEMONS', [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [2, 2]], false],
+            ['BERRY', [[2, 2], [3, 2], [3, 3], [3, 4], [2, 4]], false]
+        ];
+        const { correct, wrongPath, wrong, missing } = compareWithAnswers(setWords, answers);
+        assert.deepEqual(correct.map(([word]) => word), ['GRAPE']);
+        assert.deepEqual(wrongPath.map(([word]) => word), ['LEMONS']);
+        assert.deepEqual(wrong.map(([word]) => word), ['BERRY']);
+        assert.deepEqual(missing.map(([word]) => word), ['BLUEBERRY']);
+    });
+
+    test('a solved board is all correct', () => {
+        const comparison = compareWithAnswers(answers, answers);
+        assert.equal(comparison.correct.length, 3);
+        assert.deepEqual([comparison.wrongPath, comparison.wrong, comparison.missing], [[], [], []]);
+    });
+});
+
+describe('PlayGame', () => {
+    let game;
+
+    beforeEach(() => {
+        game = new PlayGame();
+        game.setKey(toGrid(FRUIT_BOARD.grid), parseAnswerKey('GRAPE*\nLEMONS\nBLUEBERRY'));
+    });
+
+    test('accepts theme words and the spangram on their cells, traced either way', () => {
+        assert.equal(game.checkWord('LEMONS', LEMONS, [], isWord).result, 'theme');
+        const spangram = game.checkWord('GRAPE', [...GRAPE].reverse(), [], isWord);
+        assert.equal(spangram.result, 'spangram');
+        assert.deepEqual(spangram.answer, ['GRAPE', GRAPE, true]);
+        assert.equal(game.checkWord('GRAPE', GRAPE, [spangram.answer], isWord).result, 'found');
+    });
+
+    test('sorts out other traces', () => {
+        assert.equal(game.checkWord('GRA', GRAPE.slice(0, 3), [], isWord).result, 'short');
+        assert.equal(game.checkWord('LEMS', [[1, 0], [1, 1], [2, 1], [3, 1]], [], isWord).result, 'bonus');
+        assert.equal(game.checkWord('RAPE', GRAPE.slice(1), [], isWord).result, 'bonus');
+        assert.equal(game.checkWord('RAPE', GRAPE.slice(1), [], isWord).result, 'found');
+        assert.equal(game.checkWord('APER', [[0, 2], [0, 3], [0, 4], [0, 1]], [], isWord).result, 'invalid');
+        assert.deepEqual(game.bonusWords, ['LEMS', 'RAPE']);
+    });
+
+    test('a theme word on other cells is not accepted', () => {
+        const elsewhere = [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [2, 2]];
+        const result = game.checkWord('LEMONS', elsewhere, [], isWord);
+        assert.equal(result.result, 'misplaced');
+        assert.equal(result.answer, null);
+        assert.deepEqual(game.bonusWords, [], 'no hint credit');
+    });
+
+    test('earns one hint per three non-theme words', () => {
+        game.bonusWords = ['BLUE', 'MOLE'];
+        assert.equal(game.getHintsAvailable(), 0);
+        assert.equal(game.getWordsToNextHint(), 1);
+        assert.ok(!game.spendHint());
+
+        game.bonusWords.push('RAPE');
+        assert.equal(game.getHintsAvailable(), 1);
+        assert.ok(game.spendHint());
+        assert.equal(game.getHintsAvailable(), 0);
+        assert.equal(game.getWordsToNextHint(), 3);
+    });
+
+    test('is solved once every answer is found', () => {
+        assert.ok(!game.isSolved([game.answers[0], game.answers[1]]));
+        assert.ok(game.isSolved(game.answers));
+    });
+
+    test('restores saved progress for the same grid only', () => {
+        game.bonusWords = ['BLUE', 'MOLE', 'RAPE'];
+        game.spendHint();
+        const state = game.getState();
+
+        const restored = new PlayGame();
+        assert.ok(restored.restoreState(toGrid(FRUIT_BOARD.grid), state));
+        assert.deepEqual(restored.getState(), state);
+
+        assert.ok(!restored.restoreState(toGrid(FLOWER_BOARD.grid), state));
+        assert.ok(!restored.hasKey());
+    });
+});
@@ -0,0 +1,57 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+// Only cover: AEIM down the first column (spangram), BCDH and an 8-letter word
+const GRID = 'ABCD\nEFGH\nIJKL\nMNOP\n';
+const WORDS = 'AEIM\nBCDH\nFGKJNOPL\n';
+
+describe('cli.js', () => {
+    let dir;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'strands-cli-'));
+        writeFileSync(join(dir, 'grid.txt'), GRID);
+        writeFileSync(join(dir, 'words.txt'), WORDS);
+    });
+
+    after(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Run the CLI on the test board
+     */
+    function run(...args) {
+        return spawnSync(process.execPath, [CLI, '--words', join(dir, 'words.txt'), ...args, join(dir, 'grid.txt')],
+            { encoding: 'utf8', timeout: 30000 });
+    }
+
+    test('exits 0 with a complete solution', () => {
+        for (const strategy of ['backtracking', 'exact-cover']) {
+            const result = run('--strategy', strategy);
+            assert.equal(result.status, 0, result.stdout);
+            assert.match(result.stdout, /Complete solution \(3 words\)/);
+        }
+    });
+
+    test('a full cover with the wrong word count is not complete', () => {
+        for (const strategy of ['backtracking', 'exact-cover']) {
+            const result = run('--strategy', strategy, '--target', '4', '--json');
+            assert.equal(result.status, 2, `${strategy}: ${result.stdout}`);
+            assert.equal(JSON.parse(result.stdout).complete, false);
+        }
+    });
+
+    test('exits 1 on bad arguments', () => {
+        const result = run('--target', 'many');
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /--target needs a whole number/);
+    });
+});
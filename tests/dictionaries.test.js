@@ -0,0 +1,62 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { DictionaryRegistry } from '../dictionaries.js';
+import { Solver } from '../solver.js';
+import { FRUIT_BOARD, toGrid } from './fixtures/boards.js';
+
+const FRUITS = 'grape\nlemon\nlemons\nberry\nfig\n';
+const COLORS = 'lemon\nberry\nblue\n';
+
+describe('DictionaryRegistry', () => {
+    let registry;
+    let fruits;
+    let colors;
+
+    beforeEach(() => {
+        registry = new DictionaryRegistry();
+        fruits = registry.addUpload('fruits.txt', FRUITS);
+        colors = registry.addUpload('colors.txt', COLORS);
+    });
+
+    test('parses uploads and gives repeated names their own id', () => {
+        const sizes = registry.list().filter(({ uploaded }) => uploaded).map(({ name, size }) => [name, size]);
+        assert.deepEqual(sizes, [['fruits.txt', 4], ['colors.txt', 3]], 'FIG is too short');
+        assert.equal(registry.addUpload('fruits.txt', FRUITS), 'upload:fruits.txt (2)');
+        assert.throws(() => registry.addUpload('empty.txt', 'a\nbe\n'), /no words of 4 or more letters/);
+    });
+
+    test('union keeps the words of every list', async () => {
+        const words = await registry.combine([fruits, colors], 'union');
+        assert.deepEqual([...words].sort(), ['BERRY', 'BLUE', 'GRAPE', 'LEMON', 'LEMONS']);
+        assert.equal(registry.describeActive(), 'fruits.txt + colors.txt');
+    });
+
+    test('intersection keeps only the words every list has', async () => {
+        const words = await registry.combine([fruits, colors], 'intersection');
+        assert.deepEqual([...words].sort(), ['BERRY', 'LEMON']);
+        assert.deepEqual(registry.getActive(), { ids: [fruits, colors], mode: 'intersection' });
+        assert.equal(registry.describeActive(), 'fruits.txt ∩ colors.txt');
+        assert.deepEqual(registry.getSources('LEMON'), ['fruits.txt', 'colors.txt']);
+        assert.deepEqual(registry.getSources('GRAPE'), ['fruits.txt']);
+    });
+
+    test('rejects an empty selection and drops removed uploads from it', async () => {
+        await assert.rejects(registry.combine([]), /choose at least one word list/);
+        await registry.combine([fruits, colors]);
+        assert.ok(registry.removeUpload(colors));
+        assert.deepEqual(registry.getActive().ids, [fruits]);
+        assert.ok(!registry.removeUpload('alpha'), 'bundled lists stay');
+    });
+
+    test('the whitelist is merged on top of the combined words', async () => {
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), await registry.combine([fruits, colors], 'intersection'));
+        solver.setExtraWords(['GRAPE']);
+        assert.ok(solver.hasWord('GRAPE'), 'whitelisted, though only one list has it');
+        assert.deepEqual(solver.findWordsDFS(0, 0).map(([word]) => word), ['GRAPE']);
+
+        // Switching lists keeps the whitelist
+        solver.setWordSet(await registry.combine([colors]));
+        assert.ok(solver.hasWord('GRAPE'));
+        assert.ok(!solver.hasWord('LEMONS'));
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Test fixture boards with small dictionaries and their known complete solutions
+ * Grids are one string per row; dictionaries include decoy words that fit the grid
+ * but can't be part of a complete solution.
+ */
+
+// Spangram across the top row, two words filling the block below
+export const FRUIT_BOARD = {
+    grid: [
+        'GRAPE',
+        'LEBLU',
+        'OMEBE',
+        'NSRRY'
+    ],
+    words: ['GRAPE', 'LEMONS', 'BLUEBERRY', 'LEMON', 'BERRY', 'RAPE'],
+    solution: ['GRAPE', 'LEMONS', 'BLUEBERRY'],
+    spangram: 'GRAPE'
+};
+
+// Standard 8x6 board: spangram down the first column, one flower per row beside it
+export const FLOWER_BOARD = {
+    grid: [
+        'DTULIP',
+        'AVIOLA',
+        'FLILAC',
+        'FPOPPY',
+        'OASTER',
+        'DPEONY',
+        'IROSES',
+        'LPANSY'
+    ],
+    words: [
+        'DAFFODIL', 'TULIP', 'VIOLA', 'LILAC', 'POPPY', 'ASTER', 'PEONY', 'ROSES', 'PANSY',
+        'LIPS', 'STAR', 'PANS', 'POPS', 'ROSE'
+    ],
+    solution: ['DAFFODIL', 'TULIP', 'VIOLA', 'LILAC', 'POPPY', 'ASTER', 'PEONY', 'ROSES', 'PANSY'],
+    spangram: 'DAFFODIL'
+};
+
+/**
+ * Convert a fixture grid to the 2D letter array the solver uses
+ * @param {Array<string>} rows - One string per row
+ * @returns {Array<Array<string>>}
+ */
+export function toGrid(rows) {
+    return rows.map(row => row.split(''));
+}
@@ -0,0 +1,177 @@
+/**
+ * Fake DOM
+ * Just enough of document and elements for the DOM-touching modules to run under Node
+ */
+
+class FakeClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get names() {
+        return this.element.className.split(/\s+/).filter(name => name);
+    }
+
+    add(...names) {
+        this.element.className = [...new Set([...this.names, ...names])].join(' ');
+    }
+
+    remove(...names) {
+        this.element.className = this.names.filter(name => !names.includes(name)).join(' ');
+    }
+
+    contains(name) {
+        return this.names.includes(name);
+    }
+
+    toggle(name, force) {
+        const add = force === undefined ? !this.contains(name) : force;
+        if (add) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return add;
+    }
+}
+
+export class FakeElement {
+    constructor(tagName, id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.className = '';
+        this.classList = new FakeClassList(this);
+        this.dataset = {};
+        this.style = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = {};
+        this.attributes = {};
+        this.ownText = '';
+        this.hidden = false;
+        this.disabled = false;
+        this.value = '';
+        this.title = '';
+    }
+
+    get textContent() {
+        return this.ownText + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.children = [];
+        this.ownText = String(text);
+    }
+
+    get innerHTML() {
+        return this.textContent;
+    }
+
+    set innerHTML(html) {
+        // Only clearing is supported
+        this.children = [];
+        this.ownText = String(html);
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    /**
+     * Append elements and text (strings become text nodes)
+     * @param {...(FakeElement|string)} nodes - Nodes to append
+     */
+    append(...nodes) {
+        for (const node of nodes) {
+            if (typeof node === 'string') {
+                const text = new FakeElement('#text');
+                text.ownText = node;
+                this.appendChild(text);
+            } else {
+                this.appendChild(node);
+            }
+        }
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+            this.parentNode = null;
+        }
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    /**
+     * Call the listeners registered for an event type
+     * @param {string} type - Event type, e.g. 'click'
+     * @param {Object} event - Extra event properties
+     */
+    dispatch(type, event = {}) {
+        for (const listener of this.listeners[type] || []) {
+            listener({ type, target: this, preventDefault() {}, stopPropagation() {}, ...event });
+        }
+    }
+
+    click() {
+        this.dispatch('click');
+    }
+
+    /**
+     * All descendants, depth first
+     * @returns {Array<FakeElement>}
+     */
+    descendants() {
+        return this.children.flatMap(child => [child, ...child.descendants()]);
+    }
+
+    /**
+     * Match descendants against a tag name, ".class" or "tag.class" selector
+     * @param {string} selector - Selector
+     * @returns {Array<FakeElement>}
+     */
+    querySelectorAll(selector) {
+        const [tag, className] = selector.split('.');
+        return this.descendants().filter(element =>
+            (!tag || element.tagName === tag.toUpperCase()) &&
+            (!className || element.classList.contains(className)));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+}
+
+/**
+ * Install a fake document on globalThis
+ * getElementById creates elements on first use, so any id the app looks up exists.
+ * @returns {Object} The fake document
+ */
+export function installFakeDom() {
+    const elements = new Map();
+    const document = {
+        getElementById(id) {
+            if (!elements.has(id)) {
+                elements.set(id, new FakeElement('div', id));
+            }
+            return elements.get(id);
+        },
+        createElement(tagName) {
+            return new FakeElement(tagName);
+        }
+    };
+    globalThis.document = document;
+    return document;
+}
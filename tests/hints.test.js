@@ -0,0 +1,106 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { HintTracker, getHintDisplay, describeHint, getPuzzleKey } from '../hints.js';
+import { FRUIT_BOARD, toGrid } from './fixtures/boards.js';
+
+const GRAPE = ['GRAPE', [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]], true];
+const LEMONS = ['LEMONS', [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [3, 1]], false];
+const BLUEBERRY = ['BLUEBERRY', [[1, 2], [1, 3], [1, 4], [2, 4], [2, 3], [2, 2], [3, 2], [3, 3], [3, 4]], false];
+const SOLUTION = [GRAPE, LEMONS, BLUEBERRY];
+
+describe('HintTracker', () => {
+    let hints;
+
+    beforeEach(() => {
+        hints = new HintTracker();
+        hints.setPuzzle(toGrid(FRUIT_BOARD.grid));
+        hints.setSolution(SOLUTION);
+    });
+
+    test('reveals a theme word one step at a time', () => {
+        const steps = [1, 2, 3].map(() => {
+            const hint = hints.next('word', []);
+            return [hint.word, hint.step];
+        });
+        assert.deepEqual(steps, [['LEMONS', 0], ['LEMONS', 1], ['LEMONS', 2]]);
+        assert.equal(hints.hintsUsed, 3);
+    });
+
+    test('moves on to the next word after a full reveal', () => {
+        for (let i = 0; i < 3; i++) hints.next('word', []);
+        assert.equal(hints.next('word', []).word, 'BLUEBERRY');
+    });
+
+    test('skips words that are already found', () => {
+        assert.equal(hints.next('word', [LEMONS]).word, 'BLUEBERRY');
+    });
+
+    test('starts a new word when the hinted word gets found', () => {
+        hints.next('word', []);
+        assert.equal(hints.getCurrentHint([LEMONS]), null);
+        const hint = hints.next('word', [LEMONS]);
+        assert.deepEqual([hint.word, hint.step], ['BLUEBERRY', 0]);
+    });
+
+    test('gives spangram hints separately, starting with its endpoints', () => {
+        hints.next('word', []);
+        const hint = hints.next('spangram', []);
+        assert.deepEqual([hint.word, hint.step], ['GRAPE', 0]);
+        assert.equal(describeHint(hint), 'The spangram runs between the two marked letters.');
+    });
+
+    test('returns null once every word of the kind is found', () => {
+        assert.equal(hints.next('spangram', [GRAPE]), null);
+        assert.equal(hints.next('word', [LEMONS, BLUEBERRY]), null);
+        assert.equal(hints.hintsUsed, 0);
+    });
+
+    test('checks found words against the solution', () => {
+        assert.ok(hints.isConsistent([LEMONS]));
+        assert.ok(!hints.isConsistent([['LEMON', LEMONS[1].slice(0, 5), false]]));
+        assert.ok(!new HintTracker().isConsistent([]), 'no solution yet');
+    });
+
+    test('a different grid resets the solution and count', () => {
+        hints.next('word', []);
+        assert.ok(!hints.setPuzzle(toGrid(FRUIT_BOARD.grid)));
+        assert.equal(hints.hintsUsed, 1);
+
+        assert.ok(hints.setPuzzle(toGrid(['ABCDE', 'FGHIJ', 'KLMNO', 'PQRST'])));
+        assert.equal(hints.hintsUsed, 0);
+        assert.ok(!hints.hasSolution());
+        assert.equal(hints.getCurrentHint([]), null);
+    });
+
+    test('getPuzzleKey joins the rows', () => {
+        assert.equal(getPuzzleKey(toGrid(['AB', 'CD'])), 'AB/CD');
+    });
+});
+
+describe('getHintDisplay', () => {
+    test('builds up the theme word display step by step', () => {
+        const hint = { kind: 'word', word: 'LEMONS', positions: LEMONS[1], step: 0 };
+        assert.deepEqual(getHintDisplay(hint), { cells: LEMONS[1], marked: [], path: null });
+        assert.equal(describeHint(hint), 'A theme word uses the 6 highlighted letters.');
+
+        hint.step = 1;
+        assert.deepEqual(getHintDisplay(hint), { cells: LEMONS[1], marked: [[1, 0]], path: null });
+        assert.equal(describeHint(hint), 'A theme word uses the highlighted letters and starts with L.');
+
+        hint.step = 2;
+        assert.deepEqual(getHintDisplay(hint).path, LEMONS[1]);
+        assert.equal(describeHint(hint), 'A theme word is LEMONS.');
+    });
+
+    test('marks the spangram endpoints until its first letter is shown', () => {
+        const hint = { kind: 'spangram', word: 'GRAPE', positions: GRAPE[1], step: 0 };
+        assert.deepEqual(getHintDisplay(hint), { cells: [], marked: [[0, 0], [0, 4]], path: null });
+
+        hint.step = 1;
+        assert.deepEqual(getHintDisplay(hint).marked, [[0, 0], [0, 4]]);
+        assert.deepEqual(getHintDisplay(hint).cells, GRAPE[1]);
+
+        hint.step = 2;
+        assert.deepEqual(getHintDisplay(hint).marked, [[0, 0]]);
+    });
+});
@@ -0,0 +1,59 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReviewLoop, describeRound } from '../review.js';
+
+const GRAPE = ['GRAPE', [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]], true];
+const LEMONS = ['LEMONS', [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [3, 1]], false];
+const BERRY = ['BERRY', [[2, 2], [3, 2], [3, 3], [3, 4], [2, 4]], false];
+
+describe('ReviewLoop', () => {
+    let review;
+
+    beforeEach(() => {
+        review = new ReviewLoop();
+    });
+
+    test('words start out unsure', () => {
+        assert.equal(review.getMark('GRAPE'), 'unsure');
+        review.setMark('GRAPE', 'confirmed');
+        assert.equal(review.getMark('GRAPE'), 'confirmed');
+        review.setMark('GRAPE', 'unsure');
+        assert.equal(review.getMark('GRAPE'), 'unsure');
+        assert.throws(() => review.setMark('GRAPE', 'maybe'), /Unknown review mark/);
+    });
+
+    test('pins confirmed words and rejects the rest of the marked ones', () => {
+        review.startRound([GRAPE, LEMONS, BERRY], 80, false);
+        review.setMark('GRAPE', 'confirmed');
+        review.setMark('BERRY', 'rejected');
+
+        const { pinned, rejected } = review.applyMarks([GRAPE, LEMONS, BERRY]);
+        assert.deepEqual(pinned, [GRAPE]);
+        assert.deepEqual(rejected, ['BERRY']);
+        assert.equal(review.getMark('BERRY'), 'unsure', 'rejected words are blacklisted, not remembered');
+    });
+
+    test('keeps a history of rounds with their marks', () => {
+        assert.ok(!review.isActive());
+        review.startRound([GRAPE, LEMONS, BERRY], 80, false);
+        review.setMark('GRAPE', 'confirmed');
+        review.setMark('BERRY', 'rejected');
+        review.applyMarks([GRAPE, LEMONS, BERRY]);
+        review.startRound([GRAPE, LEMONS], 100, true);
+
+        assert.ok(review.isActive());
+        assert.deepEqual(review.rounds.map(describeRound), [
+            'Round 1: 3 words, partial (80%); confirmed GRAPE; rejected BERRY',
+            'Round 2: 2 words, complete'
+        ]);
+        assert.equal(review.getMark('GRAPE'), 'confirmed', 'confirmed words stay confirmed');
+    });
+
+    test('reset forgets marks and rounds', () => {
+        review.startRound([GRAPE], 20, false);
+        review.setMark('GRAPE', 'confirmed');
+        review.reset();
+        assert.ok(!review.isActive());
+        assert.equal(review.getMark('GRAPE'), 'unsure');
+    });
+});
@@ -0,0 +1,60 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeSessionFile, parseSessionFile, normalizeSolverSettings, DEFAULT_SOLVER_SETTINGS } from '../sessionFile.js';
+import { FLOWER_BOARD, toGrid } from './fixtures/boards.js';
+
+describe('normalizeSolverSettings', () => {
+    test('keeps valid settings', () => {
+        const settings = { maxAttempts: 5000, targetWordCount: 8, solverStrategy: 'exact-cover', maxSolutions: 3, minCommonness: 0.25 };
+        assert.deepEqual(normalizeSolverSettings(settings), settings);
+    });
+
+    test('replaces missing and wrongly typed values with the defaults', () => {
+        assert.deepEqual(normalizeSolverSettings({}), DEFAULT_SOLVER_SETTINGS);
+        assert.deepEqual(normalizeSolverSettings({
+            maxAttempts: '5000',
+            targetWordCount: null,
+            solverStrategy: 'greedy',
+            maxSolutions: true,
+            minCommonness: ''
+        }), DEFAULT_SOLVER_SETTINGS);
+        assert.deepEqual(normalizeSolverSettings({ maxAttempts: 0, targetWordCount: 2.5, maxSolutions: -1, minCommonness: 2 }),
+            DEFAULT_SOLVER_SETTINGS);
+    });
+});
+
+describe('parseSessionFile', () => {
+    test('falls back to the default settings for hand-edited values', () => {
+        const file = JSON.parse(serializeSessionFile({
+            grid: toGrid(FLOWER_BOARD.grid),
+            setWords: [],
+            blacklist: [],
+            ...DEFAULT_SOLVER_SETTINGS,
+            maxAttempts: 5000
+        }));
+        file.settings.targetWordCount = '';
+        file.settings.maxSolutions = null;
+
+        const state = parseSessionFile(JSON.stringify(file));
+        assert.equal(state.maxAttempts, 5000);
+        assert.equal(state.targetWordCount, 0);
+        assert.equal(state.maxSolutions, 1);
+    });
+
+    test('rejects more than one spangram', () => {
+        const file = JSON.parse(serializeSessionFile({
+            grid: toGrid(FLOWER_BOARD.grid),
+            setWords: [
+                ['TULIP', [[0, 1], [0, 2], [0, 3], [0, 4], [0, 5]], true],
+                ['VIOLA', [[1, 1], [1, 2], [1, 3], [1, 4], [1, 5]], false]
+            ],
+            blacklist: [],
+            ...DEFAULT_SOLVER_SETTINGS
+        }));
+        assert.doesNotThrow(() => parseSessionFile(JSON.stringify(file)));
+
+        file.setWords[1].spangram = true;
+        assert.throws(() => parseSessionFile(JSON.stringify(file)),
+            /Set word 2 \(VIOLA\) is marked as the spangram, but TULIP already is/);
+    });
+});
@@ -0,0 +1,52 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeShareHash, decodeShareHash } from '../share.js';
+import { FRUIT_BOARD, toGrid } from './fixtures/boards.js';
+
+const GRAPE = [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]];
+const LEMONS = [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [3, 1]];
+
+// The fruit board is 4x5, so each cell is one character: row * 5 + col
+const GRID = `g=4x5.${FRUIT_BOARD.grid.join('')}`;
+
+describe('encodeShareHash and decodeShareHash', () => {
+    test('round-trip a puzzle with set words and a blacklist', () => {
+        const puzzle = {
+            grid: toGrid(FRUIT_BOARD.grid),
+            setWords: [['GRAPE', GRAPE, true], ['LEMONS', LEMONS, false]],
+            blacklist: ['RAPE']
+        };
+        const hash = encodeShareHash(puzzle);
+        assert.equal(hash, `#v=1&${GRID}&w=01234!,56bafg&b=RAPE`);
+        assert.deepEqual(decodeShareHash(hash), puzzle);
+    });
+
+    test('decodes a hash without set words or blacklist', () => {
+        const { setWords, blacklist } = decodeShareHash(`v=1&${GRID}`);
+        assert.deepEqual(setWords, []);
+        assert.equal(blacklist, null);
+    });
+});
+
+describe('decodeShareHash errors', () => {
+    const cases = [
+        ['a part without a value', `v=1&${GRID}&oops`, /"oops" is not a key=value pair/],
+        ['a missing version', GRID, /missing version/],
+        ['an unknown version', `v=9&${GRID}`, /unsupported version "9"/],
+        ['a malformed grid', 'v=1&g=4by5.ABC', /missing or malformed grid/],
+        ['an unsupported grid size', 'v=1&g=0x5.', /grid size 0x5 is not supported/],
+        ['a truncated grid', 'v=1&g=4x5.GRAPE', /grid is truncated: expected 20 letters, got 5/],
+        ['an empty path', `v=1&${GRID}&w=!`, /word 1 has a truncated path/],
+        ['a cell outside the grid', `v=1&${GRID}&w=0123z`, /word 1 has an invalid cell "z"/],
+        ['cells that are not adjacent', `v=1&${GRID}&w=0134`, /word 1: cells \(0,1\) and \(0,3\) are not adjacent/],
+        ['two words on one cell', `v=1&${GRID}&w=01234,5601`, /words 1 and 2 both use cell \(0,0\)/],
+        ['two spangrams', `v=1&${GRID}&w=01234!,56baf!`, /words 1 and 2 are both marked as the spangram/],
+        ['an invalid blacklisted word', `v=1&${GRID}&b=RAPE,NO-GO`, /blacklisted word "NO-GO" is not valid/]
+    ];
+
+    for (const [name, hash, message] of cases) {
+        test(`rejects ${name}`, () => {
+            assert.throws(() => decodeShareHash(hash), message);
+        });
+    }
+});
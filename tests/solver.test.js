@@ -0,0 +1,301 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { Solver } from '../solver.js';
+import { getPathError } from '../utils.js';
+import { FRUIT_BOARD, FLOWER_BOARD, toGrid } from './fixtures/boards.js';
+
+/**
+ * Scan every cell for candidate words, as the solver worker does
+ */
+function scanGrid(solver, allPaths = false, blacklistedWords = new Set()) {
+    const allWords = [];
+    for (let row = 0; row < solver.rows; row++) {
+        for (let col = 0; col < solver.cols; col++) {
+            for (const [word, coords] of solver.findWordsDFS(row, col, new Set(), blacklistedWords, 4, 15, allPaths)) {
+                allWords.push([word, coords, coords.length]);
+            }
+        }
+    }
+    return allWords;
+}
+
+/**
+ * Count the cells a solution covers (the solver returns null when it has no partial to report)
+ */
+function coverage(solution) {
+    return (solution || []).reduce((sum, [, coords]) => sum + coords.length, 0);
+}
+
+/**
+ * Check that a solution covers every cell exactly once with valid paths and one spangram
+ */
+function assertCompleteSolution(solver, solution, board) {
+    assert.ok(solution, 'expected a solution');
+    const grid = toGrid(board.grid);
+    const covered = new Set();
+    for (const [word, coords] of solution) {
+        assert.equal(getPathError(grid, coords, word), null, `${word} has a bad path`);
+        for (const [row, col] of coords) {
+            const key = `${row},${col}`;
+            assert.ok(!covered.has(key), `cell ${key} is used twice`);
+            covered.add(key);
+        }
+    }
+    assert.equal(covered.size, solver.rows * solver.cols);
+    assert.deepEqual(solution.map(([word]) => word).sort(), [...board.solution].sort());
+    assert.deepEqual(solution.filter(([, , isSpangram]) => isSpangram).map(([word]) => word), [board.spangram]);
+}
+
+describe('findWordsDFS', () => {
+    const grid = toGrid([
+        'CATS',
+        'XOXD',
+        'GXBX'
+    ]);
+
+    test('finds words along horizontal and diagonal moves', () => {
+        const solver = new Solver(grid, new Set(['CATS', 'COBX', 'ACTS']));
+        const words = solver.findWordsDFS(0, 0).map(([word]) => word);
+        assert.ok(words.includes('CATS'));
+        assert.ok(words.includes('COBX'), 'C(0,0) O(1,1) B(2,2) X(2,3) are adjacent, two of them diagonally');
+    });
+
+    test('returns the path of each word', () => {
+        const solver = new Solver(grid, new Set(['CATS']));
+        assert.deepEqual(solver.findWordsDFS(0, 0), [['CATS', [[0, 0], [0, 1], [0, 2], [0, 3]]]]);
+    });
+
+    test('only returns words starting at the given cell', () => {
+        const solver = new Solver(grid, new Set(['CATS']));
+        assert.deepEqual(solver.findWordsDFS(0, 1), []);
+    });
+
+    test('does not jump between non-adjacent cells', () => {
+        // G(2,0) and B(2,2) are in the grid but not next to the T
+        const solver = new Solver(grid, new Set(['CATG', 'CATB']));
+        assert.deepEqual(solver.findWordsDFS(0, 0), []);
+    });
+
+    test('does not reuse a cell within a word', () => {
+        // Only one A and one T: TATA would need both twice
+        const solver = new Solver(grid, new Set(['TATA', 'CATC']));
+        assert.deepEqual(solver.findWordsDFS(0, 2), []);
+        assert.deepEqual(solver.findWordsDFS(0, 0), []);
+    });
+
+    test('skips cells used by set words', () => {
+        const solver = new Solver(grid, new Set(['CATS']));
+        assert.deepEqual(solver.findWordsDFS(0, 0, new Set(['0,2'])), []);
+        assert.deepEqual(solver.findWordsDFS(0, 0, new Set(['0,0'])), []);
+    });
+
+    test('skips blacklisted words', () => {
+        const solver = new Solver(grid, new Set(['CATS']));
+        assert.deepEqual(solver.findWordsDFS(0, 0, new Set(), new Set(['CATS'])), []);
+    });
+
+    test('ignores words shorter than the minimum length', () => {
+        const solver = new Solver(grid, new Set(['CAT', 'CATS']));
+        assert.deepEqual(solver.findWordsDFS(0, 0).map(([word]) => word), ['CATS']);
+    });
+
+    test('returns an empty list outside the grid', () => {
+        const solver = new Solver(grid, new Set(['CATS']));
+        assert.deepEqual(solver.findWordsDFS(-1, 0), []);
+        assert.deepEqual(solver.findWordsDFS(0, 4), []);
+    });
+
+    test('returns every path of a word when asked', () => {
+        const twoPaths = toGrid([
+            'ABCD',
+            'XXXD'
+        ]);
+        const solver = new Solver(twoPaths, new Set(['ABCD']));
+        assert.equal(solver.findWordsDFS(0, 0).length, 1);
+        assert.equal(solver.findWordsDFS(0, 0, new Set(), new Set(), 4, 15, true).length, 2);
+    });
+
+    test('finds whitelisted extra words', () => {
+        const solver = new Solver(grid, new Set());
+        solver.setExtraWords(['CATS']);
+        assert.deepEqual(solver.findWordsDFS(0, 0).map(([word]) => word), ['CATS']);
+        assert.ok(solver.hasWord('CATS'));
+    });
+});
+
+describe('isSpangram', () => {
+    const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set());
+
+    test('accepts paths touching left and right or top and bottom', () => {
+        assert.ok(solver.isSpangram([[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]]));
+        assert.ok(solver.isSpangram([[0, 2], [1, 2], [2, 2], [3, 2]]));
+    });
+
+    test('only counts the named spangram once one is set', () => {
+        const solver = new Solver(toGrid(['SWL', 'POI', 'ARN', 'NDE']), new Set());
+        const column = (col) => [[0, col], [1, col], [2, col], [3, col]];
+        assert.ok(solver.isSpangramCandidate('WORD', column(1)));
+        solver.setSpangramWord('SPAN');
+        assert.ok(solver.isSpangramCandidate('SPAN', column(0)));
+        assert.ok(!solver.isSpangramCandidate('WORD', column(1)));
+    });
+
+    test('rejects paths touching only adjacent edges', () => {
+        assert.ok(!solver.isSpangram([[1, 0], [2, 0], [3, 0], [3, 1]]));
+        assert.ok(!solver.isSpangram([[1, 2], [1, 3], [1, 4], [2, 4]]));
+    });
+});
+
+describe('solvePuzzle', () => {
+    for (const board of [FRUIT_BOARD, FLOWER_BOARD]) {
+        test(`solves the ${board.spangram} fixture`, () => {
+            // Every path, so the result doesn't depend on which path the scan keeps for repeated letters
+            const solver = new Solver(toGrid(board.grid), new Set(board.words));
+            const solution = solver.solvePuzzle(scanGrid(solver, true));
+            assertCompleteSolution(solver, solution, board);
+        });
+    }
+
+    test('keeps existing words in the solution', () => {
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(FRUIT_BOARD.words));
+        const lemons = [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [3, 1]];
+        const solution = solver.solvePuzzle(scanGrid(solver), [['LEMONS', lemons, false]]);
+        assertCompleteSolution(solver, solution, FRUIT_BOARD);
+        assert.deepEqual(solution[0], ['LEMONS', lemons, false]);
+    });
+
+    test('returns the best partial solution when no complete one exists', () => {
+        // Nothing covers the S, so the best the solver can do is every other cell
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(['GRAPE', 'BLUEBERRY', 'LEMON']));
+        const solution = solver.solvePuzzle(scanGrid(solver));
+        assert.ok(solution, 'expected a partial solution');
+        assert.equal(coverage(solution), 19);
+    });
+
+    test('reports the best partial even when the search stops before a progress update', () => {
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(['GRAPE', 'BLUEBERRY', 'LEMON']));
+        const solution = solver.solvePuzzle(scanGrid(solver), [], null, () => false, 10);
+        assert.ok(coverage(solution) > 0);
+    });
+
+    test('only accepts solutions with the target word count', () => {
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(FRUIT_BOARD.words));
+        const solution = solver.solvePuzzle(scanGrid(solver), [], null, () => false, 100000, 4);
+        assert.ok(solution === null || solution.length !== 3, 'the only complete cover has 3 words');
+        assert.ok(coverage(solution) > 0, 'a partial is still reported');
+    });
+
+    test('prunes a region that no set of words can fill', () => {
+        // Every cell has a candidate, but five cells can't be split into four-letter words,
+        // so the search stops before placing anything
+        const solver = new Solver(toGrid(['ABCDE']), new Set(['ABCD', 'BCDE']));
+        assert.equal(solver.solvePuzzle(scanGrid(solver, true)), null);
+
+        const placed = [['ABCD', [[0, 0], [0, 1], [0, 2], [0, 3]], true]];
+        assert.deepEqual(solver.solvePuzzle(scanGrid(solver, true), placed), placed);
+    });
+
+    test('skips region pruning when some cell has no candidate', () => {
+        // Nothing covers the X, so pruning would cut every branch; the best partial is still found
+        const solver = new Solver(toGrid(['ABCDX']), new Set(['ABCD']));
+        const solution = solver.solvePuzzle(scanGrid(solver, true));
+        assert.deepEqual(solution.map(([word]) => word), ['ABCD']);
+        assert.equal(coverage(solution), 4);
+    });
+
+    test('never uses more than one spangram', () => {
+        // Every row is a spangram, so no complete solution is allowed
+        const rows = ['GRAPE', 'LEMON', 'MELON'];
+        const solver = new Solver(toGrid(rows), new Set(rows));
+        const solution = solver.solvePuzzle(scanGrid(solver)) || [];
+        assert.ok(solution.filter(([, , isSpangram]) => isSpangram).length <= 1);
+    });
+
+    test('skips blacklisted words', () => {
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(FRUIT_BOARD.words));
+        const solution = solver.solvePuzzle(scanGrid(solver, false, new Set(['GRAPE']))) || [];
+        assert.ok(!solution.some(([word]) => word === 'GRAPE'));
+    });
+
+    test('never uses a word twice, even along two disjoint paths', () => {
+        // WORD fits both squares at the top right, but only WOWORDRD may cover them
+        const grid = toGrid([
+            'SWOWO',
+            'PDRDR',
+            'ALAKE',
+            'NTIDE'
+        ]);
+        const solver = new Solver(grid, new Set(['SPAN', 'WORD', 'WOWORDRD', 'LAKE', 'TIDE']));
+        const found = [];
+        solver.solvePuzzle(scanGrid(solver, true), [], null, () => false, 100000, 0, (solution) => {
+            found.push(solution.map(([word]) => word).sort());
+            return true;
+        });
+        // LAKE and TIDE can swap their final E, so the same words may come back along other paths
+        assert.ok(found.length > 0);
+        for (const words of found) {
+            assert.deepEqual(words, ['LAKE', 'SPAN', 'TIDE', 'WOWORDRD']);
+        }
+    });
+
+    test('does not repeat an existing word', () => {
+        const grid = toGrid([
+            'SWOWO',
+            'PDRDR',
+            'ALAKE',
+            'NTIDE'
+        ]);
+        const solver = new Solver(grid, new Set(['SPAN', 'WORD', 'LAKE', 'TIDE']));
+        const word = [[0, 1], [0, 2], [1, 2], [1, 1]];
+        const solution = solver.solvePuzzle(scanGrid(solver, true), [['WORD', word, false]]);
+        assert.equal(solution.filter(([w]) => w === 'WORD').length, 1);
+        assert.ok(!solver.isCompleteSolution(solution));
+    });
+});
+
+describe('solveExactCover', () => {
+    for (const board of [FRUIT_BOARD, FLOWER_BOARD]) {
+        test(`solves the ${board.spangram} fixture`, () => {
+            const solver = new Solver(toGrid(board.grid), new Set(board.words));
+            const { solution } = solver.solveExactCover(scanGrid(solver, true));
+            assertCompleteSolution(solver, solution, board);
+        });
+    }
+
+    test('proves that no complete solution exists', () => {
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(['GRAPE', 'BLUEBERRY', 'LEMON']));
+        const { solution, exhausted } = solver.solveExactCover(scanGrid(solver, true));
+        assert.ok(exhausted);
+        assert.ok(coverage(solution) < 20);
+    });
+
+    test('collects every complete solution through onSolution', () => {
+        // BLUE and BERRY can replace BLUEBERRY in two ways
+        const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set([...FRUIT_BOARD.words, 'BLUE']));
+        const found = [];
+        solver.solveExactCover(scanGrid(solver, true), [], null, () => false, 100000, 0, (solution) => {
+            found.push(solution);
+            return true;
+        });
+        assert.equal(found.length, 3);
+        const ranked = solver.rankSolutions(found);
+        assert.deepEqual(ranked[0].solution.map(([word]) => word).sort(), ['BLUEBERRY', 'GRAPE', 'LEMONS']);
+        assert.ok(ranked[0].score > ranked[1].score, 'fewer words rank higher');
+    });
+});
+
+describe('isCompleteSolution', () => {
+    const solver = new Solver(toGrid(FRUIT_BOARD.grid), new Set(FRUIT_BOARD.words));
+    const solution = solver.solvePuzzle(scanGrid(solver, true));
+
+    test('accepts a full cover with one spangram', () => {
+        assert.ok(solver.isCompleteSolution(solution));
+        assert.ok(solver.isCompleteSolution(solution, 3));
+    });
+
+    test('rejects the wrong word count, a missing spangram or uncovered cells', () => {
+        assert.ok(!solver.isCompleteSolution(solution, 4));
+        assert.ok(!solver.isCompleteSolution(solution.map(([word, coords]) => [word, coords, false])));
+        assert.ok(!solver.isCompleteSolution(solution.slice(1)));
+    });
+});
@@ -0,0 +1,157 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseCoordinates,
+    parseTextGrid,
+    parseGridInput,
+    validateGrid,
+    validateGridSize,
+    getPathError,
+    createEmptyGrid,
+    deepCopy2D,
+    getAvailableLetters
+} from '../utils.js';
+import { FRUIT_BOARD, toGrid } from './fixtures/boards.js';
+
+describe('parseCoordinates', () => {
+    test('parses pairs with or without parentheses', () => {
+        assert.deepEqual(parseCoordinates('(0,1) (2,3)'), [[0, 1], [2, 3]]);
+        assert.deepEqual(parseCoordinates('0,1 2,3'), [[0, 1], [2, 3]]);
+    });
+
+    test('accepts newlines between pairs', () => {
+        assert.deepEqual(parseCoordinates('(0,1)\n(1,1)\n'), [[0, 1], [1, 1]]);
+    });
+
+    test('skips parts that are not pairs', () => {
+        assert.deepEqual(parseCoordinates('(0,1) hello (a,b) 3 (4,5)'), [[0, 1], [4, 5]]);
+    });
+
+    test('returns an empty list for blank text', () => {
+        assert.deepEqual(parseCoordinates(''), []);
+        assert.deepEqual(parseCoordinates('   \n  '), []);
+    });
+});
+
+describe('parseTextGrid', () => {
+    test('parses one row per line and uppercases letters', () => {
+        assert.deepEqual(parseTextGrid('abc\ndef'), [['A', 'B', 'C'], ['D', 'E', 'F']]);
+    });
+
+    test('ignores blank lines and surrounding whitespace', () => {
+        assert.deepEqual(parseTextGrid('\n  AB \n\nCD\n'), [['A', 'B'], ['C', 'D']]);
+    });
+
+    test('counts columns from the letters of the first row only', () => {
+        assert.deepEqual(parseTextGrid('  A B C\nDEF'), [['A', 'B', 'C'], ['D', 'E', 'F']]);
+        assert.deepEqual(parseTextGrid('a,b\nc d'), [['A', 'B'], ['C', 'D']]);
+        assert.equal(parseTextGrid('A B C\nDE'), null);
+    });
+
+    test('rejects rows of different lengths', () => {
+        assert.equal(parseTextGrid('ABC\nDE'), null);
+    });
+
+    test('rejects empty text', () => {
+        assert.equal(parseTextGrid(''), null);
+        assert.equal(parseTextGrid('\n\n'), null);
+    });
+});
+
+describe('parseGridInput', () => {
+    test('parses one row per line with separators', () => {
+        const { grid, error } = parseGridInput('g r a p e\nL,E,B,L,U\nome|be\nnsrry', 4, 5);
+        assert.equal(error, null);
+        assert.deepEqual(grid, toGrid(FRUIT_BOARD.grid));
+    });
+
+    test('splits a single line into rows', () => {
+        const { grid, error } = parseGridInput(FRUIT_BOARD.grid.join(''), 4, 5);
+        assert.equal(error, null);
+        assert.deepEqual(grid, toGrid(FRUIT_BOARD.grid));
+    });
+
+    test('reports the row and column of a bad character', () => {
+        assert.equal(parseGridInput('ABCDE\nAB1DE', 2, 5).error, 'Row 2, column 3: "1" is not a letter.');
+        assert.equal(parseGridInput('ABCDEFGH1J', 2, 5).error, 'Row 2, column 4: "1" is not a letter.');
+    });
+
+    test('reports wrong row lengths and counts', () => {
+        assert.equal(parseGridInput('ABCDE\nABCD', 2, 5).error, 'Row 2 has 4 letters, expected 5.');
+        assert.equal(parseGridInput('ABCDE\nABCDE', 3, 5).error, 'Expected 3 rows, got 2.');
+        assert.equal(parseGridInput('ABCDEFGHI', 2, 5).error, 'Expected 10 letters on one line, got 9.');
+    });
+
+    test('reports empty input', () => {
+        assert.equal(parseGridInput('  \n ', 2, 5).grid, null);
+    });
+});
+
+describe('validateGrid', () => {
+    test('accepts rectangular grids of uppercase letters', () => {
+        assert.ok(validateGrid(toGrid(FRUIT_BOARD.grid)));
+    });
+
+    test('rejects empty, ragged, lowercase and multi-letter grids', () => {
+        assert.ok(!validateGrid([]));
+        assert.ok(!validateGrid([[]]));
+        assert.ok(!validateGrid([['A', 'B'], ['C']]));
+        assert.ok(!validateGrid([['a']]));
+        assert.ok(!validateGrid([['AB']]));
+    });
+
+    test('checks grid sizes up to 20x20', () => {
+        assert.ok(validateGridSize(8, 6));
+        assert.ok(!validateGridSize(0, 6));
+        assert.ok(!validateGridSize(8, 21));
+    });
+});
+
+describe('getPathError', () => {
+    const grid = toGrid(FRUIT_BOARD.grid);
+
+    test('accepts adjacent paths including diagonals', () => {
+        assert.equal(getPathError(grid, [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]], 'GRAPE'), null);
+        assert.equal(getPathError(grid, [[1, 3], [2, 2], [2, 1], [2, 0], [3, 0], [3, 1]], 'LEMONS'), null);
+    });
+
+    test('rejects cells that are not adjacent', () => {
+        assert.equal(getPathError(grid, [[0, 0], [0, 2]]), 'cells (0,0) and (0,2) are not adjacent');
+        assert.equal(getPathError(grid, [[0, 0], [2, 1]]), 'cells (0,0) and (2,1) are not adjacent');
+    });
+
+    test('rejects a cell used twice', () => {
+        assert.equal(getPathError(grid, [[0, 0], [0, 1], [0, 0]]), 'cell (0,0) is used twice');
+    });
+
+    test('rejects cells outside the grid', () => {
+        assert.equal(getPathError(grid, [[0, 4], [0, 5]]), 'cell (0,5) is outside the grid');
+        assert.equal(getPathError(grid, [[-1, 0]]), 'cell (-1,0) is outside the grid');
+    });
+
+    test('rejects paths that spell another word', () => {
+        assert.equal(getPathError(grid, [[0, 1], [0, 2], [0, 3], [0, 4]], 'GRAPE'), 'path spells RAPE, not GRAPE');
+    });
+
+    test('rejects empty and malformed paths', () => {
+        assert.equal(getPathError(grid, []), 'path is empty');
+        assert.equal(getPathError(grid, [[0, 0], [1]]), 'cell 2 is not a [row, col] pair');
+    });
+});
+
+describe('grid helpers', () => {
+    test('createEmptyGrid fills every cell', () => {
+        assert.deepEqual(createEmptyGrid(2, 3), [['A', 'A', 'A'], ['A', 'A', 'A']]);
+    });
+
+    test('deepCopy2D copies rows', () => {
+        const grid = toGrid(['AB', 'CD']);
+        const copy = deepCopy2D(grid);
+        copy[0][0] = 'Z';
+        assert.equal(grid[0][0], 'A');
+    });
+
+    test('getAvailableLetters collects distinct letters', () => {
+        assert.deepEqual([...getAvailableLetters(toGrid(['ABA', 'BCA']))].sort(), ['A', 'B', 'C']);
+    });
+});
@@ -0,0 +1,211 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom } from './helpers/fakeDom.js';
+import { WordManager } from '../wordManager.js';
+
+const document = installFakeDom();
+
+const GRAPE = [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]];
+const LEMONS = [[1, 0], [1, 1], [2, 1], [2, 0], [3, 0], [3, 1]];
+const BERRY = [[1, 2], [2, 2], [3, 2], [3, 3], [3, 4]];
+
+/**
+ * Text of each rendered item in a list container
+ */
+function renderedItems(containerId) {
+    return document.getElementById(containerId).children.map(item => item.textContent);
+}
+
+describe('WordManager set words', () => {
+    let manager;
+
+    beforeEach(() => {
+        manager = new WordManager();
+        manager.addSetWord('GRAPE', GRAPE, true);
+        manager.addSetWord('LEMONS', LEMONS);
+        manager.addSetWord('BERRY', BERRY);
+    });
+
+    test('ignores a word that is already set', () => {
+        manager.addSetWord('LEMONS', LEMONS);
+        assert.equal(manager.getSetWords().length, 3);
+    });
+
+    test('renders each set word with its number and spangram badge', () => {
+        assert.deepEqual(renderedItems('set-words-list'), ['1. GRAPESpangram', '2. LEMONS', '3. BERRY']);
+        const items = document.getElementById('set-words-list').children;
+        assert.ok(items[0].classList.contains('spangram'));
+        assert.equal(items[2].dataset.index, 2);
+    });
+
+    test('removeSetWord returns the removed tuple', () => {
+        assert.deepEqual(manager.removeSetWord(1), ['LEMONS', LEMONS, false]);
+        assert.deepEqual(manager.getSetWords().map(([word]) => word), ['GRAPE', 'BERRY']);
+        assert.deepEqual(renderedItems('set-words-list'), ['1. GRAPESpangram', '2. BERRY']);
+    });
+
+    test('removeSetWord ignores indexes out of range', () => {
+        assert.equal(manager.removeSetWord(-1), null);
+        assert.equal(manager.removeSetWord(3), null);
+        assert.equal(manager.getSetWords().length, 3);
+    });
+
+    test('removing the selected word clears the selection', () => {
+        manager.selectSetWord(1);
+        manager.removeSetWord(1);
+        assert.equal(manager.getSelectedSetWordIndex(), -1);
+    });
+
+    test('removing a word before the selection keeps the same word selected', () => {
+        manager.selectSetWord(2);
+        manager.removeSetWord(0);
+        assert.equal(manager.getSelectedSetWordIndex(), 1);
+        assert.equal(manager.getSetWords()[1][0], 'BERRY');
+    });
+
+    test('removing a word after the selection leaves the index alone', () => {
+        manager.selectSetWord(0);
+        manager.removeSetWord(2);
+        assert.equal(manager.getSelectedSetWordIndex(), 0);
+    });
+
+    test('selectSetWord toggles the selection and notifies the callback', () => {
+        const calls = [];
+        manager.setSetWordSelectCallback((word, positions, index) => calls.push([word, index]));
+
+        assert.equal(manager.selectSetWord(1), 1);
+        assert.ok(document.getElementById('set-words-list').children[1].classList.contains('selected'));
+        assert.equal(manager.selectSetWord(1), -1);
+        assert.deepEqual(calls, [['LEMONS', 1], [null, -1]]);
+    });
+
+    test('selecting another word moves the selection', () => {
+        manager.selectSetWord(0);
+        assert.equal(manager.selectSetWord(2), 2);
+    });
+
+    test('clicking a rendered word selects it', () => {
+        document.getElementById('set-words-list').children[2].click();
+        assert.equal(manager.getSelectedSetWordIndex(), 2);
+    });
+
+    test('double-clicking a word asks the app to remove it', () => {
+        const removed = [];
+        manager.setSetWordRemoveCallback((index) => removed.push(index));
+        document.getElementById('set-words-list').children[1].dispatch('dblclick');
+        assert.deepEqual(removed, [1]);
+        assert.equal(manager.getSetWords().length, 3, 'the app removes it, with undo and autosave');
+    });
+
+    test('blacklistAndRemoveWord removes and blacklists the word', () => {
+        assert.deepEqual(manager.blacklistAndRemoveWord(2), ['BERRY', BERRY, false]);
+        assert.ok(manager.getBlacklistedWords().has('BERRY'));
+        assert.equal(manager.blacklistAndRemoveWord(5), null);
+    });
+
+    test('clearSetWords removes every word and the selection', () => {
+        manager.selectSetWord(0);
+        manager.clearSetWords();
+        assert.deepEqual(manager.getSetWords(), []);
+        assert.equal(manager.getSelectedSetWordIndex(), -1);
+        assert.deepEqual(renderedItems('set-words-list'), []);
+    });
+
+    test('getUsedPositions collects every covered cell', () => {
+        assert.equal(manager.getUsedPositions().size, 16);
+        assert.ok(manager.getUsedPositions().has('3,4'));
+        assert.ok(manager.hasSpangram());
+    });
+});
+
+describe('WordManager possible words', () => {
+    let manager;
+    const words = [['BERRY', BERRY], ['LEMONS', LEMONS], ['GRAPE', GRAPE]];
+    const commonness = new Map([['BERRY', 0.6], ['LEMONS', 0.2], ['GRAPE', 0.4]]);
+
+    beforeEach(() => {
+        manager = new WordManager();
+    });
+
+    test('sorts by length by default', () => {
+        manager.updatePossibleWords(words);
+        assert.deepEqual(manager.foundWordsData.map(([word]) => word), ['LEMONS', 'BERRY', 'GRAPE']);
+    });
+
+    test('sorts and filters by commonness, keeping whitelisted words', () => {
+        manager.addCustomWord('LEMONS');
+        manager.setCommonnessLookup(word => commonness.get(word) || 0);
+        manager.setPossibleWordsView({ sort: 'commonness', minCommonness: 0.5 });
+        manager.updatePossibleWords(words);
+        assert.deepEqual(manager.foundWordsData.map(([word]) => word), ['BERRY', 'LEMONS']);
+    });
+
+    test('selecting a possible word reports it and tracks the index', () => {
+        const selected = [];
+        manager.setWordSelectCallback((word, positions) => selected.push(word));
+        manager.updatePossibleWords(words);
+        document.getElementById('possible-words').children[1].click();
+        assert.deepEqual(selected, ['BERRY']);
+        assert.deepEqual(manager.getSelectedFoundWord(), ['BERRY', BERRY]);
+    });
+
+    test('lists a word once and cycles through its paths on repeated clicks', () => {
+        const otherBerry = [[1, 2], [2, 2], [3, 2], [3, 3], [2, 4]];
+        const selected = [];
+        manager.setWordSelectCallback((word, positions) => selected.push(positions));
+        manager.updatePossibleWords([['BERRY', BERRY], ['GRAPE', GRAPE], ['BERRY', otherBerry]]);
+        assert.deepEqual(renderedItems('possible-words'), ['BERRY 2 paths', 'GRAPE']);
+
+        const berry = document.getElementById('possible-words').children[0];
+        berry.click();
+        berry.click();
+        assert.deepEqual(selected, [BERRY, otherBerry]);
+        assert.deepEqual(manager.getSelectedFoundWord(), ['BERRY', otherBerry]);
+        berry.click();
+        assert.deepEqual(manager.getSelectedFoundWord(), ['BERRY', BERRY]);
+    });
+
+    test('keeps the selected path, not the first with the same text, when the list is redrawn', () => {
+        const otherBerry = [[1, 2], [2, 2], [3, 2], [3, 3], [2, 4]];
+        const paths = [['BERRY', BERRY], ['BERRY', otherBerry], ['GRAPE', GRAPE]];
+        manager.updatePossibleWords(paths);
+        const berry = document.getElementById('possible-words').children[0];
+        berry.click();
+        berry.click();
+        assert.deepEqual(manager.getSelectedFoundWord(), ['BERRY', otherBerry]);
+
+        manager.setPossibleWordsView({ sort: 'commonness' });
+        assert.deepEqual(manager.getSelectedFoundWord(), ['BERRY', otherBerry]);
+        manager.updatePossibleWords([['GRAPE', GRAPE]]);
+        assert.equal(manager.getSelectedFoundWord(), null);
+    });
+
+    test('groups words through a cell by where the cell sits and marks its letter', () => {
+        manager.updatePossibleWords([['LEMON', LEMONS.slice(0, 5), 1], ['GRAPE', GRAPE, 0], ['LEMONS', LEMONS, 1]]);
+        assert.deepEqual(manager.foundWordsData.map(([word]) => word), ['GRAPE', 'LEMONS', 'LEMON']);
+
+        const container = document.getElementById('possible-words');
+        assert.deepEqual(container.querySelectorAll('.word-group-header').map(header => header.textContent),
+            ['Starting here', 'Letter 2 is here']);
+        const lemons = container.querySelectorAll('.word-item')[1];
+        assert.equal(lemons.querySelector('.through-letter').textContent, 'E');
+        assert.equal(lemons.textContent, 'LEMONS');
+    });
+});
+
+describe('WordManager blacklist and whitelist panels', () => {
+    test('lists words alphabetically and reports removals', () => {
+        const manager = new WordManager();
+        const removed = [];
+        manager.setListWordRemoveCallback((listName, word) => removed.push([listName, word]));
+        manager.blacklistWord('RAPE');
+        manager.blacklistWord('LEMON');
+        manager.addCustomWord('BLUE');
+        manager.updateWordListsDisplay();
+
+        assert.deepEqual(renderedItems('blacklist-list'), ['LEMONRestore', 'RAPERestore']);
+        assert.equal(document.getElementById('blacklist-count').textContent, '(2)');
+        document.getElementById('whitelist-list').children[0].querySelector('button').click();
+        assert.deepEqual(removed, [['whitelist', 'BLUE']]);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Themes Module
+ * Ranks words by relatedness to a puzzle clue using bundled WordNet associations (no network calls)
+ */
+
+// Clue words that carry no theme
+const CLUE_STOP_WORDS = new Set(['THE', 'AND', 'FOR', 'WITH', 'YOUR', 'THIS', 'THAT', 'FROM', 'INTO', 'OVER', 'ABOUT', 'WHAT', 'ITS']);
+
+/**
+ * Parse the word association file
+ * Comment lines start with '#'; the first other line lists concept names, and each
+ * following line is a word and the base-36 indexes of its concepts.
+ * @param {string} text - File contents
+ * @returns {{concepts: Array<string>, words: Map<string, Array<number>>}}
+ */
+export function parseAssociations(text) {
+    const lines = text.split('\n').filter(line => line && !line.startsWith('#'));
+    const concepts = lines.length > 0 ? lines[0].split(' ') : [];
+    const words = new Map();
+    for (let i = 1; i < lines.length; i++) {
+        const [word, ...ids] = lines[i].trim().split(' ');
+        words.set(word, ids.map(id => parseInt(id, 36)));
+    }
+    return { concepts, words };
+}
+
+/**
+ * Fetch and parse the bundled association file
+ * @param {string} url - Association file URL
+ * @returns {Promise<ThemeRanker>}
+ * @throws {Error} If the file can't be fetched
+ */
+export async function loadThemeRanker(url = 'word_associations.txt') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load word associations ${url} (${response.status})`);
+    }
+    return new ThemeRanker(parseAssociations(await response.text()));
+}
+
+export class ThemeRanker {
+    /**
+     * @param {{concepts: Array<string>, words: Map<string, Array<number>>}} associations - From parseAssociations
+     */
+    constructor({ concepts, words }) {
+        this.concepts = concepts;
+        this.words = words;
+        this.theme = '';
+        this.themeWeights = new Map(); // concept -> idf weight, for concepts of the clue words
+        this.themeNorm = 0;
+        this.scoreCache = new Map();
+
+        // Concepts shared by many words (e.g. "entity") say little about a theme
+        const documentCount = new Map();
+        for (const ids of words.values()) {
+            for (const id of ids) {
+                documentCount.set(id, (documentCount.get(id) || 0) + 1);
+            }
+        }
+        this.idf = new Map();
+        for (const [id, count] of documentCount) {
+            this.idf.set(id, Math.log(words.size / count));
+        }
+    }
+
+    /**
+     * Find the association entry for a word, trying simple inflections (FISHING -> FISH)
+     * @param {string} word - Uppercase word
+     * @returns {Array<number>|null} Concept ids or null if unknown
+     */
+    lookup(word) {
+        const forms = [word];
+        if (word.endsWith('IES')) forms.push(word.slice(0, -3) + 'Y');
+        if (word.endsWith('ES')) forms.push(word.slice(0, -2));
+        if (word.endsWith('S')) forms.push(word.slice(0, -1));
+        if (word.endsWith('ED')) forms.push(word.slice(0, -2), word.slice(0, -1));
+        if (word.endsWith('ING')) forms.push(word.slice(0, -3), word.slice(0, -3) + 'E');
+        if (word.endsWith('ER')) forms.push(word.slice(0, -2), word.slice(0, -1));
+
+        for (const form of forms) {
+            if (this.words.has(form)) {
+                return this.words.get(form);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Set the puzzle clue
+     * @param {string} clue - Free text such as "Gone fishing"
+     * @returns {{known: Array<string>, unknown: Array<string>}} Clue words with and without associations
+     */
+    setTheme(clue) {
+        this.theme = clue.trim();
+        this.themeWeights = new Map();
+        this.scoreCache = new Map();
+
+        const known = [];
+        const unknown = [];
+        for (const word of this.theme.toUpperCase().split(/[^A-Z]+/)) {
+            if (word.length < 3 || CLUE_STOP_WORDS.has(word)) continue;
+            const ids = this.lookup(word);
+            if (!ids) {
+                unknown.push(word);
+                continue;
+            }
+            known.push(word);
+            for (const id of ids) {
+                this.themeWeights.set(id, this.idf.get(id) || 0);
+            }
+        }
+
+        this.themeNorm = Math.sqrt(Array.from(this.themeWeights.values()).reduce((sum, w) => sum + w * w, 0));
+        return { known, unknown };
+    }
+
+    /**
+     * Check if a theme with known words is set
+     * @returns {boolean}
+     */
+    hasTheme() {
+        return this.themeNorm > 0;
+    }
+
+    /**
+     * Score a word's relatedness to the theme
+     * Square root of the cosine similarity of idf-weighted concept sets; the root
+     * spreads out the small values that sparse concept sets produce.
+     * @param {string} word - Uppercase word
+     * @returns {number} 0 (unrelated or unknown) to 1
+     */
+    score(word) {
+        if (!this.hasTheme()) return 0;
+        if (this.scoreCache.has(word)) return this.scoreCache.get(word);
+
+        const ids = this.lookup(word);
+        let result = 0;
+        if (ids) {
+            let shared = 0;
+            let norm = 0;
+            for (const id of ids) {
+                const weight = this.idf.get(id) || 0;
+                norm += weight * weight;
+                if (this.themeWeights.has(id)) {
+                    shared += weight * weight;
+                }
+            }
+            result = norm > 0 ? Math.sqrt(shared / (Math.sqrt(norm) * this.themeNorm)) : 0;
+        }
+
+        this.scoreCache.set(word, result);
+        return result;
+    }
+
+    /**
+     * Name the most specific concept a word shares with the theme
+     * @param {string} word - Uppercase word
+     * @returns {string|null} Concept name (e.g. "fish") or null if none is shared
+     */
+    explain(word) {
+        const ids = this.lookup(word);
+        if (!ids || !this.hasTheme()) return null;
+
+        let best = null;
+        for (const id of ids) {
+            if (this.themeWeights.has(id) && (best === null || this.idf.get(id) > this.idf.get(best))) {
+                best = id;
+            }
+        }
+        return best === null ? null : this.concepts[best].replace(/_/g, ' ');
+    }
+}
@@ -73,6 +73,8 @@ export function validateGrid(grid) {
 
 /**
  * Parse text input into grid
+ * Only letters count: the column count comes from the letters of the first row, so spaces
+ * or separators in it don't make every other row look too short.
  * @param {string} text - Text input (one row per line)
  * @returns {Array<Array<string>>|null} 2D array of letters or null if invalid
  */
@@ -81,7 +83,7 @@ export function parseTextGrid(text) {
     if (lines.length === 0) return null;
     
     const grid = [];
-    const cols = lines[0].length;
+    const cols = lines[0].trim().toUpperCase().replace(/[^A-Z]/g, '').length;
     
     for (const line of lines) {
         const cleaned = line.trim().toUpperCase().replace(/[^A-Z]/g, '');
@@ -92,6 +94,121 @@ export function parseTextGrid(text) {
     return validateGrid(grid) ? grid : null;
 }
 
+/**
+ * Parse pasted grid text, reporting the exact position of any mistake
+ * Accepts one row per line (spaces, tabs, commas, semicolons and pipes between
+ * letters are ignored) or a single line holding all rows * cols letters.
+ * @param {string} text - Pasted text
+ * @param {number} rows - Expected number of rows
+ * @param {number} cols - Expected number of columns
+ * @returns {{grid: Array<Array<string>>|null, error: string|null}} Grid, or an error message
+ */
+export function parseGridInput(text, rows, cols) {
+    const lines = text.split(/\r?\n/)
+        .map(line => line.replace(/[\s,;|]/g, ''))
+        .filter(line => line);
+
+    if (lines.length === 0) {
+        return { grid: null, error: 'Nothing to import. Paste one row per line, or all letters on one line.' };
+    }
+
+    // A single line holding the whole grid is split into rows
+    let rowStrings = lines;
+    if (lines.length === 1 && rows > 1) {
+        const letters = lines[0];
+        for (let i = 0; i < letters.length; i++) {
+            if (!/^[a-zA-Z]$/.test(letters[i])) {
+                return {
+                    grid: null,
+                    error: `Row ${Math.floor(i / cols) + 1}, column ${(i % cols) + 1}: "${letters[i]}" is not a letter.`
+                };
+            }
+        }
+        if (letters.length !== rows * cols) {
+            return { grid: null, error: `Expected ${rows * cols} letters on one line, got ${letters.length}.` };
+        }
+        rowStrings = [];
+        for (let r = 0; r < rows; r++) {
+            rowStrings.push(letters.slice(r * cols, (r + 1) * cols));
+        }
+    }
+
+    for (let r = 0; r < rowStrings.length; r++) {
+        for (let c = 0; c < rowStrings[r].length; c++) {
+            if (!/^[a-zA-Z]$/.test(rowStrings[r][c])) {
+                return { grid: null, error: `Row ${r + 1}, column ${c + 1}: "${rowStrings[r][c]}" is not a letter.` };
+            }
+        }
+        if (rowStrings[r].length !== cols) {
+            return { grid: null, error: `Row ${r + 1} has ${rowStrings[r].length} letters, expected ${cols}.` };
+        }
+    }
+
+    if (rowStrings.length !== rows) {
+        return { grid: null, error: `Expected ${rows} rows, got ${rowStrings.length}.` };
+    }
+
+    const grid = rowStrings.map(line => line.toUpperCase().split(''));
+    if (!validateGrid(grid)) {
+        return { grid: null, error: 'The pasted text is not a valid grid.' };
+    }
+    return { grid, error: null };
+}
+
+/**
+ * Check a word path against the grid
+ * The path must stay on the grid, move between adjacent cells (including diagonals),
+ * never reuse a cell and, if a word is given, spell that word.
+ * @param {Array<Array<string>>} grid - 2D array of letters
+ * @param {Array<[number, number]>} positions - Path of [row, col] positions
+ * @param {string|null} word - Expected word, or null to skip the letter check
+ * @returns {string|null} Description of the first problem, or null if the path is valid
+ */
+export function getPathError(grid, positions, word = null) {
+    if (!Array.isArray(positions) || positions.length === 0) {
+        return 'path is empty';
+    }
+
+    const rows = grid.length;
+    const cols = grid[0].length;
+    const seen = new Set();
+
+    for (let i = 0; i < positions.length; i++) {
+        const position = positions[i];
+        if (!Array.isArray(position) || position.length !== 2 ||
+            !Number.isInteger(position[0]) || !Number.isInteger(position[1])) {
+            return `cell ${i + 1} is not a [row, col] pair`;
+        }
+
+        const [row, col] = position;
+        if (row < 0 || row >= rows || col < 0 || col >= cols) {
+            return `cell (${row},${col}) is outside the grid`;
+        }
+
+        const key = `${row},${col}`;
+        if (seen.has(key)) {
+            return `cell (${row},${col}) is used twice`;
+        }
+        seen.add(key);
+
+        if (i > 0) {
+            const [prevRow, prevCol] = positions[i - 1];
+            if (Math.abs(row - prevRow) > 1 || Math.abs(col - prevCol) > 1) {
+                return `cells (${prevRow},${prevCol}) and (${row},${col}) are not adjacent`;
+            }
+        }
+    }
+
+    if (word !== null) {
+        const letters = positions.map(([row, col]) => grid[row][col]).join('');
+        if (letters !== word) {
+            return `path spells ${letters}, not ${word}`;
+        }
+    }
+
+    return null;
+}
+
 /**
  * Create empty grid
  * @param {number} rows - Number of rows
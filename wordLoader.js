@@ -1,48 +1,77 @@
 /**
  * Word List Loader
- * Loads and processes the word list file
+ * Loads and processes word list files
  */
 
-export async function loadWordList() {
-    try {
-        const response = await fetch('words_alpha.txt');
-        if (!response.ok) {
-            throw new Error('Failed to load word list');
-        }
-        
-        const text = await response.text();
-        const lines = text.split('\n');
-        const wordSet = new Set();
-        
-        for (const line of lines) {
-            const word = line.trim().toUpperCase();
-            if (word.length >= 4) {
-                wordSet.add(word);
-            }
+/**
+ * Parse word list text into a set of uppercase words
+ * Words shorter than 4 letters or containing anything but letters are skipped.
+ * @param {string} text - One word per line
+ * @returns {Set<string>}
+ */
+export function parseWordList(text) {
+    const wordSet = new Set();
+    for (const line of text.split('\n')) {
+        const word = line.trim().toUpperCase();
+        if (word.length >= 4 && /^[A-Z]+$/.test(word)) {
+            wordSet.add(word);
         }
-        
-        return wordSet;
-    } catch (error) {
-        console.error('Error loading word list:', error);
-        // Fallback: return empty set or try to load from original location
-        try {
-            const response = await fetch('original python strands/words_alpha.txt');
-            if (response.ok) {
-                const text = await response.text();
-                const lines = text.split('\n');
-                const wordSet = new Set();
-                for (const line of lines) {
-                    const word = line.trim().toUpperCase();
-                    if (word.length >= 4) {
-                        wordSet.add(word);
-                    }
-                }
-                return wordSet;
-            }
-        } catch (e) {
-            console.error('Fallback load also failed:', e);
+    }
+    return wordSet;
+}
+
+/**
+ * Fetch and parse a word list file
+ * @param {string} url - Word list URL
+ * @returns {Promise<Set<string>>}
+ * @throws {Error} If the file can't be fetched
+ */
+export async function loadWordList(url = 'words_alpha.txt') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load word list ${url} (${response.status})`);
+    }
+    return parseWordList(await response.text());
+}
+
+/**
+ * Parse a word frequency table into commonness scores
+ * Scores are log-scaled counts, so the most frequent word scores 1 and a word seen once scores near 0.
+ * @param {string} text - One "word count" pair per line
+ * @returns {Map<string, number>} word -> commonness from 0 (obscure) to 1 (common)
+ */
+export function parseFrequencyTable(text) {
+    const counts = new Map();
+    let maxCount = 0;
+    for (const line of text.split('\n')) {
+        const [word, count] = line.trim().split(/\s+/);
+        const value = parseInt(count, 10);
+        if (!word || isNaN(value) || value <= 0) {
+            continue;
         }
-        return new Set();
+        const key = word.toUpperCase();
+        counts.set(key, Math.max(value, counts.get(key) || 0));
+        maxCount = Math.max(maxCount, value);
+    }
+
+    const commonness = new Map();
+    const scale = Math.log10(maxCount + 1);
+    for (const [word, count] of counts) {
+        commonness.set(word, Math.log10(count + 1) / scale);
     }
+    return commonness;
 }
 
+/**
+ * Fetch and parse the bundled word frequency table
+ * @param {string} url - Frequency table URL
+ * @returns {Promise<Map<string, number>>} word -> commonness from 0 to 1
+ * @throws {Error} If the file can't be fetched
+ */
+export async function loadWordFrequencies(url = 'word_frequencies.txt') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load word frequencies ${url} (${response.status})`);
+    }
+    return parseFrequencyTable(await response.text());
+}
@@ -5,24 +5,40 @@
 
 export class WordManager {
     constructor() {
-        this.setWords = []; // Array of [word, positions] tuples
+        this.setWords = []; // Array of [word, positions, isSpangram] tuples
         this.blacklistedWords = new Set();
+        this.customWords = new Set(); // Whitelist: words added by the user that the word list doesn't know
         this.selectedSetWordIndex = -1;
-        this.foundWordsData = []; // Store found words for selection
+        this.foundWordsData = []; // Store found words for selection (as shown: filtered and sorted, first path of each)
+        this.possiblePaths = []; // Every path of each shown word, by row of foundWordsData
+        this.possibleWords = []; // Possible words before filtering and sorting
+        this.possibleWordsSort = 'length'; // 'length', 'commonness' or 'theme'
+        this.minCommonness = 0; // Hide possible words scoring below this (0 to 1)
+        this.getWordCommonness = null; // word -> commonness from 0 to 1, null if no frequency table
+        this.themeRanker = null; // ThemeRanker with the current clue, null if no theme
         this.selectedFoundWordIndex = -1; // Track selected found word
+        this.selectedPathIndex = 0; // Path of the selected word shown; clicking the word again moves to the next
         this.onSetWordSelect = null; // Callback when a set word is selected from found words list
+        this.onSetWordRemove = null; // Callback when a set word is double-clicked to remove it
+        this.onSolutionSelect = null; // Callback when a solution is picked from the solutions list
+        this.onListWordRemove = null; // Callback when a word is restored from the blacklist or removed from the whitelist
+        this.getWordSources = null; // word -> names of the active word lists containing it
+        this.onForcedMoveSelect = null; // Callback when a forced move is picked for preview
+        this.onForcedMoveApply = null; // Callback when a forced move's Apply button is clicked
+        this.onReviewMark = null; // Callback when a word is marked in the review list
     }
 
     /**
      * Add a word to set words
      * @param {string} word - The word
      * @param {Array<[number, number]>} positions - Array of [row, col] positions
+     * @param {boolean} isSpangram - Whether the word is the puzzle's spangram
      */
-    addSetWord(word, positions) {
+    addSetWord(word, positions, isSpangram = false) {
         // Check if word already exists
         const exists = this.setWords.some(([w, p]) => w === word);
         if (!exists) {
-            this.setWords.push([word, positions]);
+            this.setWords.push([word, positions, isSpangram]);
             this.updateSetWordsDisplay();
         }
     }
@@ -54,15 +70,50 @@ export class WordManager {
         this.blacklistedWords.add(word);
     }
 
+    /**
+     * Add a custom word (a word missing from the word list)
+     * @param {string} word - Word to add
+     */
+    addCustomWord(word) {
+        this.customWords.add(word);
+    }
+
+    /**
+     * Remove a custom word from the whitelist
+     * @param {string} word - Word to remove
+     */
+    removeCustomWord(word) {
+        this.customWords.delete(word);
+    }
+
+    /**
+     * Check if a word was added as a custom word
+     * @param {string} word - Word to check
+     * @returns {boolean}
+     */
+    isCustomWord(word) {
+        return this.customWords.has(word);
+    }
+
+    /**
+     * Get custom words
+     * @returns {Set<string>}
+     */
+    getCustomWords() {
+        return this.customWords;
+    }
+
     /**
      * Blacklist and remove a set word
      * @param {number} index - Index of word to blacklist and remove
+     * @returns {Array|null} The removed word tuple or null
      */
     blacklistAndRemoveWord(index) {
         const removed = this.removeSetWord(index);
         if (removed) {
             this.blacklistWord(removed[0]);
         }
+        return removed || null;
     }
 
     /**
@@ -74,6 +125,14 @@ export class WordManager {
         this.updateSetWordsDisplay();
     }
 
+    /**
+     * Remove a word from the blacklist
+     * @param {string} word - Word to restore
+     */
+    unblacklistWord(word) {
+        this.blacklistedWords.delete(word);
+    }
+
     /**
      * Clear blacklist
      */
@@ -81,6 +140,21 @@ export class WordManager {
         this.blacklistedWords.clear();
     }
 
+    /**
+     * Clear custom words
+     */
+    clearCustomWords() {
+        this.customWords.clear();
+    }
+
+    /**
+     * Check whether one of the set words is marked as the spangram
+     * @returns {boolean}
+     */
+    hasSpangram() {
+        return this.setWords.some(([word, positions, isSpangram]) => isSpangram);
+    }
+
     /**
      * Get all used positions from set words
      * @returns {Set<string>} Set of position keys "row,col"
@@ -102,18 +176,40 @@ export class WordManager {
         const container = document.getElementById('set-words-list');
         container.innerHTML = '';
 
-        this.setWords.forEach(([word, positions], index) => {
+        this.setWords.forEach(([word, positions, isSpangram], index) => {
             const item = document.createElement('div');
-            item.className = `word-item set-word ${index === this.selectedSetWordIndex ? 'selected' : ''}`;
+            item.className = `word-item set-word ${isSpangram ? 'spangram' : ''} ${index === this.selectedSetWordIndex ? 'selected' : ''}`;
             item.textContent = `${index + 1}. ${word}`;
             item.dataset.index = index;
+
+            if (isSpangram) {
+                const badge = document.createElement('span');
+                badge.className = 'word-badge';
+                badge.textContent = 'Spangram';
+                item.appendChild(badge);
+            }
+
+            if (this.customWords.has(word)) {
+                const badge = document.createElement('span');
+                badge.className = 'word-badge custom';
+                badge.textContent = 'Custom';
+                item.appendChild(badge);
+            } else if (this.getWordSources) {
+                const sources = this.getWordSources(word);
+                const source = document.createElement('small');
+                source.className = 'word-source';
+                source.textContent = sources.length > 0 ? sources.join(', ') : 'Not in the active word list';
+                item.appendChild(source);
+            }
             
             item.addEventListener('click', () => {
                 this.selectSetWord(index);
             });
 
             item.addEventListener('dblclick', () => {
-                this.removeSetWord(index);
+                if (this.onSetWordRemove) {
+                    this.onSetWordRemove(index);
+                }
             });
 
             container.appendChild(item);
@@ -151,6 +247,14 @@ export class WordManager {
         this.onSetWordSelect = callback;
     }
 
+    /**
+     * Set callback for removing a set word by double-clicking it
+     * @param {Function} callback - Callback(index)
+     */
+    setSetWordRemoveCallback(callback) {
+        this.onSetWordRemove = callback;
+    }
+
     /**
      * Update proposed word display
      * @param {string|null} word - The proposed word or null
@@ -163,15 +267,24 @@ export class WordManager {
     }
 
     /**
-     * Update possible words list
-     * @param {Array<[string, Array<[number, number]>]>} words - Array of [word, positions] tuples
+     * Update possible words list, filtered by minimum commonness and sorted by the current view
+     * Words found through a cell carry the cell's index in the word; they are grouped by it
+     * and that letter is marked. A word listed with several paths gets one row that cycles
+     * through its paths when clicked again.
+     * @param {Array<[string, Array<[number, number]>, number]>} words - Array of [word, positions] or [word, positions, cellIndex] tuples
      */
     updatePossibleWords(words) {
-        this.foundWordsData = words;
+        // Keep the selected path selected if it is still listed
+        const selected = this.getSelectedFoundWord();
+        this.selectedFoundWordIndex = -1;
+        this.selectedPathIndex = 0;
+        this.possibleWords = words;
         const container = document.getElementById('possible-words');
         container.innerHTML = '';
 
         if (words.length === 0) {
+            this.foundWordsData = [];
+            this.possiblePaths = [];
             const item = document.createElement('div');
             item.className = 'word-item';
             item.textContent = 'No words found. Click a letter to search.';
@@ -180,12 +293,112 @@ export class WordManager {
             return;
         }
 
+        const commonness = (word) => this.getWordCommonness ? this.getWordCommonness(word) : 0;
+        const relatedness = (word) => this.themeRanker ? this.themeRanker.score(word) : 0;
+
+        // Whitelisted words are never hidden by the commonness filter
+        let shown = words;
+        if (this.getWordCommonness && this.minCommonness > 0) {
+            shown = words.filter(([word]) => this.customWords.has(word) || commonness(word) >= this.minCommonness);
+        }
+        const byLength = (a, b) => b[0].length - a[0].length;
+        const byCommonness = (a, b) => commonness(b[0]) - commonness(a[0]);
+        const byTheme = (a, b) => relatedness(b[0]) - relatedness(a[0]);
+        let order = {
+            length: [byLength, byCommonness],
+            commonness: [byCommonness, byLength],
+            theme: [byTheme, byCommonness, byLength]
+        }[this.possibleWordsSort] || [byLength, byCommonness];
+        const grouped = words.some(entry => typeof entry[2] === 'number');
+        if (grouped) {
+            order = [(a, b) => a[2] - b[2], ...order];
+        }
+        shown = [...shown].sort((a, b) => {
+            for (const compare of order) {
+                const result = compare(a, b);
+                if (result !== 0) return result;
+            }
+            return 0;
+        });
+
+        // One row per word (and cell position when grouped), holding all of its paths
+        const rows = new Map();
+        for (const entry of shown) {
+            const rowKey = grouped ? `${entry[0]} ${entry[2]}` : entry[0];
+            if (!rows.has(rowKey)) {
+                rows.set(rowKey, []);
+            }
+            rows.get(rowKey).push(entry);
+        }
+        this.possiblePaths = [...rows.values()];
+        this.foundWordsData = this.possiblePaths.map(paths => paths[0]);
+        this.possiblePaths.forEach((paths, index) => {
+            const pathIndex = paths.indexOf(selected);
+            if (pathIndex >= 0) {
+                this.selectedFoundWordIndex = index;
+                this.selectedPathIndex = pathIndex;
+            }
+        });
+
+        if (shown.length === 0) {
+            const item = document.createElement('div');
+            item.className = 'word-item';
+            item.textContent = 'All words here are below the minimum commonness.';
+            item.style.cursor = 'default';
+            container.appendChild(item);
+            return;
+        }
+
         // Display all words (no limit)
-        words.forEach(([word, positions], index) => {
+        this.foundWordsData.forEach(([word, , cellIndex], index) => {
+            const paths = this.possiblePaths[index];
+            if (grouped && (index === 0 || this.foundWordsData[index - 1][2] !== cellIndex)) {
+                const header = document.createElement('div');
+                header.className = 'word-group-header';
+                header.textContent = cellIndex === 0 ? 'Starting here' : `Letter ${cellIndex + 1} is here`;
+                container.appendChild(header);
+            }
+
             const item = document.createElement('div');
             item.className = 'word-item';
-            item.textContent = word;
             item.dataset.index = index;
+            if (index === this.selectedFoundWordIndex) {
+                item.classList.add('selected');
+            }
+            if (grouped) {
+                // Mark the clicked cell's letter
+                const letter = document.createElement('strong');
+                letter.className = 'through-letter';
+                letter.textContent = word[cellIndex];
+                item.append(word.slice(0, cellIndex), letter, word.slice(cellIndex + 1));
+            } else {
+                item.textContent = word;
+            }
+
+            if (this.getWordCommonness) {
+                const score = document.createElement('span');
+                score.className = 'word-commonness';
+                score.textContent = `${Math.round(commonness(word) * 100)}`;
+                score.title = 'Commonness (0-100)';
+                item.appendChild(score);
+            }
+
+            const related = this.themeRanker ? this.themeRanker.explain(word) : null;
+            if (related) {
+                const theme = document.createElement('small');
+                theme.className = 'word-theme';
+                theme.textContent = `~ ${related}`;
+                theme.title = `Theme relatedness ${Math.round(relatedness(word) * 100)} (shares "${related}" with the clue)`;
+                item.appendChild(theme);
+            }
+
+            if (paths.length > 1) {
+                const count = document.createElement('small');
+                count.className = 'word-paths';
+                count.textContent = ` ${paths.length} paths`;
+                count.title = 'Click the word again to show its next path';
+                item.appendChild(count);
+            }
             
             item.addEventListener('click', () => {
                 // Remove previous selection
@@ -194,12 +407,15 @@ export class WordManager {
                 });
                 item.classList.add('selected');
                 
-                // Track selected found word index
+                // Track selected found word index; a second click moves to the word's next path
+                this.selectedPathIndex = this.selectedFoundWordIndex === index
+                    ? (this.selectedPathIndex + 1) % paths.length
+                    : 0;
                 this.selectedFoundWordIndex = index;
                 
                 // Return selected word data
                 if (this.onWordSelect) {
-                    this.onWordSelect(word, positions);
+                    this.onWordSelect(word, paths[this.selectedPathIndex][1]);
                 }
             });
 
@@ -207,6 +423,34 @@ export class WordManager {
         });
     }
 
+    /**
+     * Set the commonness lookup used to sort and filter possible words
+     * @param {Function} lookup - lookup(word) returning a score from 0 to 1
+     */
+    setCommonnessLookup(lookup) {
+        this.getWordCommonness = lookup;
+        this.updatePossibleWords(this.possibleWords);
+    }
+
+    /**
+     * Set the theme ranker used to show and sort by relatedness to the clue
+     * @param {ThemeRanker|null} ranker - Ranker with the clue already set, or null for no theme
+     */
+    setThemeRanker(ranker) {
+        this.themeRanker = ranker;
+        this.updatePossibleWords(this.possibleWords);
+    }
+
+    /**
+     * Change how possible words are sorted and filtered, and redraw them
+     * @param {Object} view - sort ('length', 'commonness' or 'theme') and minCommonness (0 to 1)
+     */
+    setPossibleWordsView({ sort = this.possibleWordsSort, minCommonness = this.minCommonness }) {
+        this.possibleWordsSort = sort;
+        this.minCommonness = minCommonness;
+        this.updatePossibleWords(this.possibleWords);
+    }
+
     /**
      * Set callback for word selection
      * @param {Function} callback - Callback(word, positions)
@@ -215,9 +459,287 @@ export class WordManager {
         this.onWordSelect = callback;
     }
 
+    /**
+     * Update the ranked solutions list
+     * @param {Array<{solution: Array, score: number}>} solutions - Ranked solutions, best first
+     * @param {number} selectedIndex - Index of the applied solution
+     */
+    updateSolutionsList(solutions, selectedIndex = 0) {
+        const container = document.getElementById('solutions-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        solutions.forEach(({ solution, score }, index) => {
+            const item = document.createElement('div');
+            item.className = `word-item solution-item ${index === selectedIndex ? 'selected' : ''}`;
+            item.textContent = `${index + 1}. ${solution.map(([word]) => word).join(', ')}`;
+            item.dataset.index = index;
+
+            const meta = document.createElement('small');
+            meta.className = 'solution-meta';
+            const spangram = solution.find(([word, positions, isSpangram]) => isSpangram);
+            meta.textContent = `Score ${score.toFixed(1)} · ${solution.length} words${spangram ? ` · Spangram: ${spangram[0]}` : ''}`;
+            item.appendChild(meta);
+
+            item.addEventListener('click', () => {
+                container.querySelectorAll('.word-item').forEach(el => {
+                    el.classList.remove('selected');
+                });
+                item.classList.add('selected');
+
+                if (this.onSolutionSelect) {
+                    this.onSolutionSelect(solution, index);
+                }
+            });
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Set callback for solution selection
+     * @param {Function} callback - Callback(solution, index)
+     */
+    setSolutionSelectCallback(callback) {
+        this.onSolutionSelect = callback;
+    }
+
+    /**
+     * Update the forced moves list from a board analysis
+     * @param {{moves: Array<Object>, problems: Array<string>}|null} analysis - From findForcedMoves, or null before analyzing
+     */
+    updateForcedMovesList(analysis) {
+        const container = document.getElementById('forced-moves-list');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const addMessage = (text, className = 'word-item') => {
+            const item = document.createElement('div');
+            item.className = className;
+            item.textContent = text;
+            item.style.cursor = 'default';
+            container.appendChild(item);
+        };
+
+        if (!analysis) {
+            addMessage('Click "Find Forced Moves" to analyze the board.');
+            return;
+        }
+
+        for (const problem of analysis.problems) {
+            addMessage(problem, 'word-item analysis-problem');
+        }
+        if (analysis.moves.length === 0) {
+            addMessage('No forced moves: every free cell has more than one candidate word.');
+            return;
+        }
+
+        analysis.moves.forEach((move, index) => {
+            const item = document.createElement('div');
+            item.className = 'word-item forced-move';
+            item.textContent = `${index + 1}. ${move.word}`;
+            item.dataset.index = index;
+
+            const button = document.createElement('button');
+            button.className = 'btn-small';
+            button.textContent = 'Apply';
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.onForcedMoveApply) {
+                    this.onForcedMoveApply(move);
+                }
+            });
+            item.appendChild(button);
+
+            const reason = document.createElement('small');
+            reason.className = 'solution-meta';
+            reason.textContent = move.reason;
+            item.appendChild(reason);
+
+            item.addEventListener('click', () => {
+                container.querySelectorAll('.word-item').forEach(el => {
+                    el.classList.remove('selected');
+                });
+                item.classList.add('selected');
+
+                if (this.onForcedMoveSelect) {
+                    this.onForcedMoveSelect(move);
+                }
+            });
+
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Set callbacks for the forced moves list
+     * @param {Function} onSelect - Callback(move) when a move is clicked
+     * @param {Function} onApply - Callback(move) when a move's Apply button is clicked
+     */
+    setForcedMoveCallbacks(onSelect, onApply) {
+        this.onForcedMoveSelect = onSelect;
+        this.onForcedMoveApply = onApply;
+    }
+
+    /**
+     * Show the found words with buttons to mark each one for the next review round
+     * @param {Array<[string, Array<[number, number]>, boolean]>|null} setWords - Words to review, or null to clear
+     * @param {Function} getMark - word -> 'confirmed', 'rejected' or 'unsure'
+     */
+    updateReviewList(setWords, getMark) {
+        const container = document.getElementById('review-list');
+        if (!container) return;
+        container.innerHTML = '';
+        if (!setWords) return;
+
+        const buttons = [['confirmed', 'Confirm'], ['rejected', 'Reject'], ['unsure', 'Unsure']];
+        for (const [word, positions, isSpangram] of setWords) {
+            const mark = getMark(word);
+            const item = document.createElement('div');
+            item.className = `word-item review-word review-${mark}`;
+            item.textContent = `${word}${isSpangram ? ' (spangram)' : ''}`;
+            item.style.cursor = 'default';
+
+            const actions = document.createElement('span');
+            actions.className = 'saved-puzzle-actions';
+            for (const [value, label] of buttons) {
+                const button = document.createElement('button');
+                button.className = `btn-small ${value === mark ? 'active' : ''}`;
+                button.textContent = label;
+                button.addEventListener('click', () => {
+                    if (this.onReviewMark) {
+                        this.onReviewMark(word, value);
+                    }
+                });
+                actions.appendChild(button);
+            }
+            item.appendChild(actions);
+            container.appendChild(item);
+        }
+    }
+
+    /**
+     * Set callback for review marks
+     * @param {Function} callback - Callback(word, mark)
+     */
+    setReviewMarkCallback(callback) {
+        this.onReviewMark = callback;
+    }
+
+    /**
+     * Show the review rounds so far, latest last
+     * @param {Array<string>} lines - One description per round
+     */
+    updateReviewHistory(lines) {
+        const container = document.getElementById('review-history');
+        if (!container) return;
+        container.innerHTML = '';
+
+        for (const line of lines) {
+            const item = document.createElement('div');
+            item.className = 'word-item';
+            item.textContent = line;
+            item.style.cursor = 'default';
+            container.appendChild(item);
+        }
+    }
+
+    /**
+     * Show how the found words compare with the official answers
+     * @param {{correct: Array, wrongPath: Array, wrong: Array, missing: Array}|null} comparison - From compareWithAnswers, or null to clear
+     */
+    updateAnswerCheckList(comparison) {
+        const container = document.getElementById('answers-result');
+        if (!container) return;
+        container.innerHTML = '';
+        if (!comparison) return;
+
+        const groups = [
+            ['correct', 'answer-correct', 'correct'],
+            ['wrongPath', 'answer-path', 'right word, wrong path'],
+            ['wrong', 'answer-wrong', 'not an answer'],
+            ['missing', 'answer-missing', 'missing']
+        ];
+        for (const [key, className, label] of groups) {
+            for (const [word, positions, isSpangram] of comparison[key]) {
+                const item = document.createElement('div');
+                item.className = `word-item ${className}`;
+                item.textContent = `${word}${isSpangram ? ' (spangram)' : ''}: ${label}`;
+                item.style.cursor = 'default';
+                container.appendChild(item);
+            }
+        }
+    }
+
+    /**
+     * Render the blacklist and whitelist panels, each sorted alphabetically
+     */
+    updateWordListsDisplay() {
+        const renderList = (containerId, countId, words, listName, actionText, emptyText) => {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+            container.innerHTML = '';
+
+            const count = document.getElementById(countId);
+            if (count) {
+                count.textContent = words.size > 0 ? `(${words.size})` : '';
+            }
+
+            if (words.size === 0) {
+                const item = document.createElement('div');
+                item.className = 'word-item';
+                item.textContent = emptyText;
+                item.style.cursor = 'default';
+                container.appendChild(item);
+                return;
+            }
+
+            for (const word of Array.from(words).sort()) {
+                const item = document.createElement('div');
+                item.className = 'word-item list-word';
+
+                const label = document.createElement('span');
+                label.textContent = word;
+                item.appendChild(label);
+
+                const button = document.createElement('button');
+                button.className = 'btn-small';
+                button.textContent = actionText;
+                button.addEventListener('click', () => {
+                    if (this.onListWordRemove) {
+                        this.onListWordRemove(listName, word);
+                    }
+                });
+                item.appendChild(button);
+
+                container.appendChild(item);
+            }
+        };
+
+        renderList('blacklist-list', 'blacklist-count', this.blacklistedWords, 'blacklist', 'Restore', 'No blacklisted words.');
+        renderList('whitelist-list', 'whitelist-count', this.customWords, 'whitelist', 'Remove', 'No extra words.');
+    }
+
+    /**
+     * Set the lookup used to show which word list produced each found word
+     * @param {Function} lookup - lookup(word) returning an array of word list names
+     */
+    setWordSourceLookup(lookup) {
+        this.getWordSources = lookup;
+        this.updateSetWordsDisplay();
+    }
+
+    /**
+     * Set callback for removing a word from the blacklist or whitelist
+     * @param {Function} callback - Callback(listName, word) with listName 'blacklist' or 'whitelist'
+     */
+    setListWordRemoveCallback(callback) {
+        this.onListWordRemove = callback;
+    }
+
     /**
      * Get set words
-     * @returns {Array<[string, Array<[number, number]>]>}
+     * @returns {Array<[string, Array<[number, number]>, boolean]>}
      */
     getSetWords() {
         return this.setWords;
@@ -248,12 +770,12 @@ export class WordManager {
     }
 
     /**
-     * Get selected found word data
+     * Get selected found word data, with the path currently shown
      * @returns {[string, Array<[number, number]>]|null}
      */
     getSelectedFoundWord() {
-        if (this.selectedFoundWordIndex >= 0 && this.selectedFoundWordIndex < this.foundWordsData.length) {
-            return this.foundWordsData[this.selectedFoundWordIndex];
+        if (this.selectedFoundWordIndex >= 0 && this.selectedFoundWordIndex < this.possiblePaths.length) {
+            return this.possiblePaths[this.selectedFoundWordIndex][this.selectedPathIndex];
         }
         return null;
     }